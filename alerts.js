@@ -0,0 +1,112 @@
+const { normalizeAddress } = require('./protocol')
+
+const SERVICE_TYPES = ['contact', 'occupancy', 'leak']
+
+class AlertRule {
+  constructor(config, index) {
+    if (config.below === undefined && config.above === undefined) {
+      throw new Error(`Alert rule ${index + 1} needs a "below" or "above" threshold`)
+    }
+    if (config.below !== undefined && config.above !== undefined) {
+      throw new Error(
+        `Alert rule ${index + 1} has both a "below" and an "above" threshold, ` +
+        'use a separate rule for each'
+      )
+    }
+
+    this.name = config.name || `Alert ${index + 1}`
+    this.id = 'alert-' + (config.id || this.name.toLowerCase().replace(/[^a-z0-9]+/g, '-'))
+    this.address = config.address ? normalizeAddress(config.address) : null
+    this.sensor = config.sensor || null
+    this.type = config.type || 'temperature'
+    this.below = config.below
+    this.above = config.above
+    this.hysteresis = config.hysteresis || 0
+    this.duration = (config.duration || 0) * 60 * 1000
+    this.serviceType = config.service || 'contact'
+
+    if (SERVICE_TYPES.indexOf(this.serviceType) === -1) {
+      throw new Error(`Invalid service type for alert "${this.name}": ${this.serviceType}`)
+    }
+  }
+
+  get description() {
+    const condition = this.below !== undefined ? `below ${this.below}` : `above ${this.above}`
+    return `${this.sensor || 'any'} ${this.type} ${condition}`
+  }
+
+  matches(address, sensor) {
+    return (!this.address || this.address === normalizeAddress(address)) &&
+      (!this.sensor || this.sensor === sensor)
+  }
+
+  isTriggered(value) {
+    return this.below !== undefined ? value < this.below : value > this.above
+  }
+
+  isCleared(value) {
+    return this.below !== undefined
+      ? value >= this.below + this.hysteresis
+      : value <= this.above - this.hysteresis
+  }
+
+  evaluate(state, reading, now) {
+    state = Object.assign({ active: false, pendingSince: null }, state)
+
+    if (!reading.ok || reading.type !== this.type) {
+      return state
+    }
+
+    now = now || Date.now()
+
+    if (!state.active) {
+      if (!this.isTriggered(reading.value)) {
+        state.pendingSince = null
+      } else {
+        state.pendingSince = state.pendingSince || now
+        if (now - state.pendingSince >= this.duration) {
+          state.active = true
+          state.since = now
+        }
+      }
+    } else if (this.isCleared(reading.value)) {
+      state.active = false
+      state.pendingSince = null
+      state.since = now
+    }
+
+    return state
+  }
+}
+
+// Invalid rules are logged and left out. Rule ids are used as service
+// subtypes, so they need to be unique.
+const parseAlertRules = (configs, log) => {
+  configs = configs || []
+  log = log || (() => {})
+  const rules = []
+
+  configs.forEach((config, i) => {
+    let rule
+    try {
+      rule = new AlertRule(config, i)
+    } catch (error) {
+      log('Ignoring invalid alert rule:', error.message)
+      return
+    }
+
+    if (rules.some(r => r.id === rule.id)) {
+      log(`Ignoring alert rule "${rule.name}", it has the same name or id as another rule`)
+      return
+    }
+
+    rules.push(rule)
+  })
+
+  return rules
+}
+
+module.exports = {
+  AlertRule,
+  parseAlertRules,
+}
@@ -0,0 +1,142 @@
+const fs = require('fs')
+const { normalizeAddress } = require('./protocol')
+
+const HOUR = 60 * 60 * 1000
+const DAY = 24 * HOUR
+
+// A jump of this many percentage points means that the battery was replaced
+const REPLACEMENT_JUMP = 15
+
+class BatteryTracker {
+  constructor(options) {
+    options = options || {}
+
+    this.file = options.file || null
+    this.lowThreshold = options.lowThreshold !== undefined ? options.lowThreshold : 10
+    this.sampleInterval = options.sampleInterval || 6 * HOUR
+    this.maxSamples = options.maxSamples || 500
+    this.log = options.log || (() => {})
+    this.sensors = {}
+
+    if (this.file) {
+      this._load()
+    }
+  }
+
+  getSensor(address) {
+    const key = normalizeAddress(address)
+    if (!this.sensors[key]) {
+      this.sensors[key] = { samples: [], level: null, low: false }
+    }
+    return this.sensors[key]
+  }
+
+  record(address, level, now) {
+    now = now || Date.now()
+
+    const sensor = this.getSensor(address)
+    const result = { sampled: false, becameLow: false, recovered: false }
+
+    sensor.level = level
+
+    const last = sensor.samples[sensor.samples.length - 1]
+    if (last && level - last[1] >= REPLACEMENT_JUMP) {
+      sensor.samples = []
+    }
+
+    if (!last || sensor.samples.length === 0 || now - last[0] >= this.sampleInterval) {
+      sensor.samples.push([now, level])
+      if (sensor.samples.length > this.maxSamples) {
+        sensor.samples.shift()
+      }
+      result.sampled = true
+    }
+
+    if (!sensor.low && level < this.lowThreshold) {
+      sensor.low = true
+      result.becameLow = true
+    } else if (sensor.low && level >= this.lowThreshold) {
+      sensor.low = false
+      result.recovered = true
+    }
+
+    if (result.sampled || result.becameLow || result.recovered) {
+      this._save()
+    }
+
+    return result
+  }
+
+  isLow(address) {
+    return this.getSensor(address).low
+  }
+
+  estimate(address) {
+    const sensor = this.getSensor(address)
+    const samples = sensor.samples
+    const estimate = { level: sensor.level, ratePerDay: null, daysRemaining: null }
+
+    if (samples.length < 2 || samples[samples.length - 1][0] - samples[0][0] < DAY) {
+      return estimate
+    }
+
+    // Least squares fit of level over time, in days
+    const t0 = samples[0][0]
+    const n = samples.length
+    let sumX = 0
+    let sumY = 0
+    let sumXY = 0
+    let sumXX = 0
+
+    for (const [time, level] of samples) {
+      const x = (time - t0) / DAY
+      sumX += x
+      sumY += level
+      sumXY += x * level
+      sumXX += x * x
+    }
+
+    const denominator = n * sumXX - sumX * sumX
+    if (denominator === 0) {
+      return estimate
+    }
+
+    const slope = (n * sumXY - sumX * sumY) / denominator
+    estimate.ratePerDay = Math.round(-slope * 100) / 100
+
+    if (-slope > 0.001 && sensor.level !== null) {
+      estimate.daysRemaining = Math.round(sensor.level / -slope)
+    }
+
+    return estimate
+  }
+
+  // Loads the samples from a file without writing changes back to it
+  static load(file, options) {
+    const tracker = new BatteryTracker(options)
+    tracker.sensors = JSON.parse(fs.readFileSync(file, 'utf8'))
+    return tracker
+  }
+
+  _load() {
+    try {
+      this.sensors = JSON.parse(fs.readFileSync(this.file, 'utf8'))
+    } catch (e) {
+      this.sensors = {}
+    }
+  }
+
+  _save() {
+    if (!this.file) {
+      return
+    }
+
+    fs.writeFile(this.file, JSON.stringify(this.sensors), error => {
+      if (error) {
+        this.log('An error occurred while saving the battery history:', error)
+      }
+    })
+  }
+}
+
+module.exports = BatteryTracker
@@ -0,0 +1,58 @@
+const fs = require('fs')
+const { normalizeAddress } = require('./protocol')
+
+const round = value => Math.round(value * 10) / 10
+
+class Calibration {
+  static load(file) {
+    const config = JSON.parse(fs.readFileSync(file, 'utf8'))
+
+    // Accept either a homebridge config.json or a plain calibration object
+    if (Array.isArray(config.platforms)) {
+      const platform = config.platforms.find(p => p.platform === 'ThermSmart')
+      return new Calibration(platform && platform.calibration)
+    }
+
+    return new Calibration(config.calibration || config)
+  }
+
+  constructor(config) {
+    this.sensors = new Map()
+
+    for (const address of Object.keys(config || {})) {
+      this.sensors.set(normalizeAddress(address), config[address])
+    }
+  }
+
+  get(address, sensor) {
+    const channels = this.sensors.get(normalizeAddress(address))
+    return (channels && sensor && channels[sensor]) || null
+  }
+
+  apply(address, reading) {
+    if (!reading.ok || reading.isDerived || !address) {
+      return reading
+    }
+
+    const settings = this.get(address, reading.sensor)
+    if (!settings) {
+      return reading
+    }
+
+    if (reading.isTemperature) {
+      const scale = settings.temperatureScale !== undefined ? settings.temperatureScale : 1
+      const offset = settings.temperatureOffset || 0
+      return reading.withValue(round(reading.value * scale + offset))
+    } else if (reading.isHumidity) {
+      const scale = settings.humidityScale !== undefined ? settings.humidityScale : 1
+      const offset = settings.humidityOffset || 0
+      return reading.withValue(
+        Math.max(0, Math.min(100, round(reading.value * scale + offset)))
+      )
+    }
+
+    return reading
+  }
+}
+
+module.exports = Calibration
@@ -0,0 +1,95 @@
+module.exports = Characteristic => {
+  const temperatureProps = {
+    format: Characteristic.Formats.FLOAT,
+    unit: Characteristic.Units.CELSIUS,
+    minValue: -100,
+    maxValue: 100,
+    minStep: 0.1,
+    perms: [Characteristic.Perms.READ, Characteristic.Perms.NOTIFY],
+  }
+
+  const humidityProps = {
+    format: Characteristic.Formats.FLOAT,
+    unit: Characteristic.Units.PERCENTAGE,
+    minValue: 0,
+    maxValue: 100,
+    minStep: 1,
+    perms: [Characteristic.Perms.READ, Characteristic.Perms.NOTIFY],
+  }
+
+  const absoluteHumidityProps = {
+    format: Characteristic.Formats.FLOAT,
+    minValue: 0,
+    maxValue: 100,
+    minStep: 0.1,
+    perms: [Characteristic.Perms.READ, Characteristic.Perms.NOTIFY],
+  }
+
+  const daysRemainingProps = {
+    format: Characteristic.Formats.UINT16,
+    minValue: 0,
+    maxValue: 3650,
+    minStep: 1,
+    perms: [Characteristic.Perms.READ, Characteristic.Perms.NOTIFY],
+  }
+
+  const clockDriftProps = {
+    format: Characteristic.Formats.FLOAT,
+    unit: Characteristic.Units.SECONDS,
+    minValue: -31536000,
+    maxValue: 31536000,
+    minStep: 1,
+    perms: [Characteristic.Perms.READ, Characteristic.Perms.NOTIFY],
+  }
+
+  const createCharacteristic = (displayName, uuid, props) => {
+    class CustomCharacteristic extends Characteristic {
+      constructor() {
+        super(displayName, uuid)
+        this.setProps(props)
+        this.value = this.getDefaultValue()
+      }
+    }
+
+    CustomCharacteristic.UUID = uuid
+    return CustomCharacteristic
+  }
+
+  return {
+    MaximumTemperature: createCharacteristic(
+      'Maximum Temperature',
+      '5d3f0a01-7a4c-4b8e-9f2d-1c6e8b0a4f21',
+      temperatureProps
+    ),
+    MinimumTemperature: createCharacteristic(
+      'Minimum Temperature',
+      '5d3f0a02-7a4c-4b8e-9f2d-1c6e8b0a4f21',
+      temperatureProps
+    ),
+    MaximumHumidity: createCharacteristic(
+      'Maximum Humidity',
+      '5d3f0a03-7a4c-4b8e-9f2d-1c6e8b0a4f21',
+      humidityProps
+    ),
+    MinimumHumidity: createCharacteristic(
+      'Minimum Humidity',
+      '5d3f0a04-7a4c-4b8e-9f2d-1c6e8b0a4f21',
+      humidityProps
+    ),
+    ClockDrift: createCharacteristic(
+      'Clock Drift',
+      '5d3f0a05-7a4c-4b8e-9f2d-1c6e8b0a4f21',
+      clockDriftProps
+    ),
+    AbsoluteHumidity: createCharacteristic(
+      'Absolute Humidity',
+      '5d3f0a06-7a4c-4b8e-9f2d-1c6e8b0a4f21',
+      absoluteHumidityProps
+    ),
+    BatteryDaysRemaining: createCharacteristic(
+      'Battery Days Remaining',
+      '5d3f0a07-7a4c-4b8e-9f2d-1c6e8b0a4f21',
+      daysRemainingProps
+    ),
+  }
+}
@@ -0,0 +1,176 @@
+const EventEmitter = require('events')
+const { CommandError, ThermSmartError, TimeoutError } = require('./errors')
+
+const withTimeout = (promise, timeout, message) => {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      reject(new TimeoutError(message))
+    }, timeout)
+
+    promise.then(result => {
+      clearTimeout(timer)
+      resolve(result)
+    }, error => {
+      clearTimeout(timer)
+      reject(error)
+    })
+  })
+}
+
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms))
+
+class ConnectionManager extends EventEmitter {
+  constructor(device, options) {
+    super()
+    options = options || {}
+
+    this.device = device
+    this.commandTimeout = options.commandTimeout || 5000
+    this.connectTimeout = options.connectTimeout || 15000
+    this.retries = options.retries !== undefined ? options.retries : 2
+    this.retryDelay = options.retryDelay || 1000
+    this.idleTimeout = options.idleTimeout !== undefined ? options.idleTimeout : 30000
+
+    this.queue = Promise.resolve()
+    this.pending = 0
+    this.connecting = null
+    this.disconnecting = false
+    this.idleTimer = null
+
+    this._disconnectHandler = () => {
+      if (this.disconnecting) {
+        return
+      }
+
+      this.emit('disconnect')
+
+      if (this.pending > 0) {
+        this.emit('reconnecting')
+        this._ensureConnected().catch(() => {})
+      }
+    }
+    this.device.peripheral.on('disconnect', this._disconnectHandler)
+  }
+
+  get connected() {
+    return this.device.peripheral.state === 'connected' && !!this.device.notifyCharacteristic
+  }
+
+  command(name, fn, options) {
+    options = options || {}
+    const timeout = options.timeout || this.commandTimeout
+    const retries = options.retries !== undefined ? options.retries : this.retries
+
+    const attempt = n => {
+      return this._ensureConnected()
+        .then(() => {
+          return withTimeout(
+            fn(this.device, timeout),
+            // The device enforces its own response timeout, this only catches
+            // commands that never settle
+            timeout * 2,
+            `Timeout while running ${name} on ${this.device.address}`
+          )
+        })
+        .catch(error => {
+          if (!(error instanceof ThermSmartError)) {
+            error = new CommandError(`Could not run ${name} on ${this.device.address}`, error)
+          }
+          if (n >= retries) {
+            throw error
+          }
+
+          const wait = this.retryDelay * Math.pow(2, n)
+          this.emit('retry', name, n + 1, error, wait)
+          return delay(wait).then(() => attempt(n + 1))
+        })
+    }
+
+    this.pending++
+    clearTimeout(this.idleTimer)
+
+    const result = this.queue.then(() => attempt(0))
+    const done = () => {
+      this.pending--
+      this._scheduleIdleDisconnect()
+    }
+
+    this.queue = result.then(done, done)
+    return result
+  }
+
+  readTime(options) {
+    return this.command('read-time', (d, timeout) => d.readTime(timeout), options)
+  }
+
+  syncTime(options) {
+    return this.command('sync-time', (d, timeout) => d.syncTime(timeout), options)
+  }
+
+  identify(options) {
+    return this.command('identify', (d, timeout) => d.identify(timeout), options)
+  }
+
+  readInfo(options) {
+    return this.command('read-info', (d, timeout) => d.readInfo(timeout), options)
+  }
+
+  close() {
+    clearTimeout(this.idleTimer)
+
+    return this.queue.then(() => {
+      this.device.peripheral.removeListener('disconnect', this._disconnectHandler)
+      return this._disconnect()
+    })
+  }
+
+  _ensureConnected() {
+    if (this.connected) {
+      return Promise.resolve()
+    }
+
+    if (!this.connecting) {
+      this.connecting = withTimeout(
+        this.device.connect(),
+        this.connectTimeout,
+        `Timeout while connecting to ${this.device.address}`
+      ).then(() => {
+        this.connecting = null
+        this.emit('connect')
+      }, error => {
+        this.connecting = null
+        throw error
+      })
+    }
+
+    return this.connecting
+  }
+
+  _scheduleIdleDisconnect() {
+    clearTimeout(this.idleTimer)
+
+    if (this.pending > 0 || !this.idleTimeout) {
+      return
+    }
+
+    this.idleTimer = setTimeout(() => {
+      if (this.pending === 0) {
+        this.emit('idle')
+        this._disconnect().catch(() => {})
+      }
+    }, this.idleTimeout)
+  }
+
+  _disconnect() {
+    this.disconnecting = true
+
+    return this.device.disconnect().then(() => {
+      this.disconnecting = false
+    }, error => {
+      this.disconnecting = false
+      throw error
+    })
+  }
+}
+
+module.exports = ConnectionManager
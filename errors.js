@@ -0,0 +1,48 @@
+class ThermSmartError extends Error {
+  constructor(message, code) {
+    super(message)
+    this.name = this.constructor.name
+    this.code = code
+  }
+}
+
+class TimeoutError extends ThermSmartError {
+  constructor(message) {
+    super(message, 'ETIMEDOUT')
+  }
+}
+
+class ConnectionError extends ThermSmartError {
+  constructor(message, cause) {
+    super(message, 'ECONNECTION')
+    this.cause = cause
+  }
+}
+
+class DisconnectedError extends ThermSmartError {
+  constructor(message) {
+    super(message || 'Peripheral disconnected unexpectedly', 'EDISCONNECTED')
+  }
+}
+
+class NotFoundError extends ThermSmartError {
+  constructor(message) {
+    super(message, 'ENOTFOUND')
+  }
+}
+
+class CommandError extends ThermSmartError {
+  constructor(message, cause) {
+    super(message, 'ECOMMAND')
+    this.cause = cause
+  }
+}
+
+module.exports = {
+  ThermSmartError,
+  TimeoutError,
+  ConnectionError,
+  DisconnectedError,
+  NotFoundError,
+  CommandError,
+}
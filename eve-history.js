@@ -0,0 +1,259 @@
+const fs = require('fs')
+
+// Eve counts time in seconds since 2001-01-01
+const EPOCH_OFFSET = 978307200
+
+const UUID_SUFFIX = '-079E-48FF-8F27-9C2605A29F52'
+
+const MEMORY_SIZE = 4032
+const ENTRIES_PER_READ = 11
+
+const FIELDS = {
+  temperature: { tag: '01', scale: 100 },
+  humidity: { tag: '02', scale: 100 },
+}
+
+const uint8 = n => {
+  return Buffer.from([n & 0xff]).toString('hex')
+}
+
+const uint16 = n => {
+  const b = Buffer.alloc(2)
+  b.writeUInt16LE(n & 0xffff, 0)
+  return b.toString('hex')
+}
+
+const int16 = n => {
+  const b = Buffer.alloc(2)
+  b.writeInt16LE(Math.max(-0x8000, Math.min(0x7fff, Math.round(n))), 0)
+  return b.toString('hex')
+}
+
+const uint32 = n => {
+  const b = Buffer.alloc(4)
+  b.writeUInt32LE(n >>> 0, 0)
+  return b.toString('hex')
+}
+
+const hexToBase64 = hex => Buffer.from(hex.replace(/\s/g, ''), 'hex').toString('base64')
+
+const createServiceTypes = hap => {
+  const { Characteristic, Service } = hap
+
+  const createCharacteristic = (displayName, uuid, perms) => {
+    class HistoryCharacteristic extends Characteristic {
+      constructor() {
+        super(displayName, uuid)
+        this.setProps({
+          format: Characteristic.Formats.DATA,
+          perms: perms.concat([Characteristic.Perms.HIDDEN]),
+        })
+        this.value = this.getDefaultValue()
+      }
+    }
+
+    HistoryCharacteristic.UUID = uuid
+    return HistoryCharacteristic
+  }
+
+  const readPerms = [Characteristic.Perms.READ, Characteristic.Perms.NOTIFY]
+  const writePerms = [Characteristic.Perms.WRITE]
+
+  const HistoryStatus = createCharacteristic('S2R1', 'E863F116' + UUID_SUFFIX, readPerms)
+  const HistoryEntries = createCharacteristic('S2R2', 'E863F117' + UUID_SUFFIX, readPerms)
+  const HistoryRequest = createCharacteristic('S2W1', 'E863F11C' + UUID_SUFFIX, writePerms)
+  const SetTime = createCharacteristic('S2W2', 'E863F121' + UUID_SUFFIX, writePerms)
+
+  class HistoryService extends Service {
+    constructor(displayName, subtype) {
+      super(displayName, HistoryService.UUID, subtype)
+      this.addCharacteristic(HistoryStatus)
+      this.addCharacteristic(HistoryEntries)
+      this.addCharacteristic(HistoryRequest)
+      this.addCharacteristic(SetTime)
+    }
+  }
+
+  HistoryService.UUID = 'E863F007' + UUID_SUFFIX
+
+  return { HistoryService, HistoryStatus, HistoryEntries, HistoryRequest, SetTime }
+}
+
+class EveHistory {
+  constructor(options) {
+    this.types = options.types
+    this.service = options.service
+    this.characteristics = options.characteristics
+    this.file = options.file
+    this.log = options.log || (() => {})
+    this.interval = options.interval || 10 * 60 * 1000
+    this.memorySize = options.memorySize || MEMORY_SIZE
+
+    this.entries = []
+    this.firstEntry = 1
+    this.refTime = 0
+    this.samples = {}
+    this.lastCommit = 0
+
+    this.currentEntry = 1
+    this.transfer = false
+
+    this._load()
+    this._setupCharacteristics()
+    this._updateStatus()
+  }
+
+  get lastEntry() {
+    return this.firstEntry + this.entries.length - 1
+  }
+
+  addValue(type, value, now) {
+    if (!FIELDS[type] || this.types.indexOf(type) === -1) {
+      return
+    }
+
+    now = now || Date.now()
+
+    const samples = this.samples[type] || (this.samples[type] = [])
+    samples.push(value)
+
+    if (now - this.lastCommit >= this.interval) {
+      this._commit(now)
+    }
+  }
+
+  _commit(now) {
+    const entry = { time: Math.floor(now / 1000) }
+
+    for (const type of this.types) {
+      const samples = this.samples[type]
+      if (!samples || samples.length === 0) {
+        // Wait until every type has at least one sample
+        return
+      }
+      entry[type] = samples.reduce((a, b) => a + b, 0) / samples.length
+    }
+
+    if (this.entries.length === 0) {
+      this.refTime = entry.time - EPOCH_OFFSET
+      this.entries.push({ time: entry.time, ref: true })
+    }
+
+    this.entries.push(entry)
+    while (this.entries.length > this.memorySize) {
+      // Eve gets the time of the entries from the reference entry, so it is
+      // kept and the oldest entry after it is dropped instead
+      this.entries.splice(this.entries[0].ref ? 1 : 0, 1)
+      this.firstEntry++
+    }
+
+    this.samples = {}
+    this.lastCommit = now
+
+    this._updateStatus()
+    this._save()
+  }
+
+  _encodeEntry(number, entry) {
+    const time = entry.time - this.refTime - EPOCH_OFFSET
+
+    if (entry.ref) {
+      return '15' + uint32(number) + '01000000' + '81' + uint32(this.refTime) +
+        '00000000' + '00' + '0000'
+    }
+
+    const values = this.types.map(type => int16(entry[type] * FIELDS[type].scale))
+    const mask = (1 << this.types.length) - 1
+    const length = 10 + 2 * this.types.length
+
+    return uint8(length) + uint32(number) + uint32(time) +
+      uint8(mask) + values.join('')
+  }
+
+  _updateStatus() {
+    const { HistoryStatus } = this.characteristics
+    const last = this.entries[this.entries.length - 1]
+    const lastTime = last ? last.time - this.refTime - EPOCH_OFFSET : 0
+    const signature = this.types.map(type => FIELDS[type].tag + '02').join('')
+    const usedMemory = Math.min(this.entries.length, this.memorySize)
+
+    this.service.getCharacteristic(HistoryStatus).setValue(hexToBase64(
+      uint32(lastTime) +
+      '00000000' +
+      uint32(this.refTime) +
+      uint8(this.types.length) + signature +
+      uint16(usedMemory) +
+      uint16(this.memorySize) +
+      uint32(this.entries.length > 0 ? this.firstEntry : 0) +
+      '000000000101'
+    ))
+  }
+
+  _setupCharacteristics() {
+    const { HistoryEntries, HistoryRequest, SetTime } = this.characteristics
+
+    this.service.getCharacteristic(HistoryEntries).on('get', callback => {
+      if (!this.transfer || this.currentEntry > this.lastEntry) {
+        this.transfer = false
+        callback(null, hexToBase64('00'))
+        return
+      }
+
+      let data = ''
+      for (let i = 0; i < ENTRIES_PER_READ && this.currentEntry <= this.lastEntry; i++) {
+        const entry = this.entries[this.currentEntry - this.firstEntry]
+        data += this._encodeEntry(this.currentEntry, entry)
+        this.currentEntry++
+      }
+
+      callback(null, hexToBase64(data))
+    })
+
+    this.service.getCharacteristic(HistoryRequest).on('set', (value, callback) => {
+      const request = Buffer.from(value, 'base64')
+      const address = request.length >= 6 ? request.readUInt32LE(2) : 0
+
+      this.currentEntry = Math.max(address, this.firstEntry)
+      this.transfer = true
+      callback()
+    })
+
+    this.service.getCharacteristic(SetTime).on('set', (value, callback) => {
+      callback()
+    })
+  }
+
+  _load() {
+    let data
+    try {
+      data = JSON.parse(fs.readFileSync(this.file, 'utf8'))
+    } catch (e) {
+      return
+    }
+
+    this.entries = data.entries || []
+    this.firstEntry = data.firstEntry || 1
+    this.refTime = data.refTime || 0
+
+    const last = this.entries[this.entries.length - 1]
+    this.lastCommit = last ? last.time * 1000 : 0
+  }
+
+  _save() {
+    const data = JSON.stringify({
+      firstEntry: this.firstEntry,
+      refTime: this.refTime,
+      entries: this.entries,
+    })
+
+    fs.writeFile(this.file, data, error => {
+      if (error) {
+        this.log('An error occurred while saving the Eve history:', error)
+      }
+    })
+  }
+}
+
+EveHistory.createServiceTypes = createServiceTypes
+
+module.exports = EveHistory
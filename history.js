@@ -0,0 +1,287 @@
+const fs = require('fs')
+const path = require('path')
+const readline = require('readline')
+const { normalizeAddress } = require('./protocol')
+
+const MINUTE = 60 * 1000
+const DAY = 24 * 60 * MINUTE
+
+const FIELDS = ['timestamp', 'address', 'sensor', 'type', 'value', 'status']
+
+const appendFile = (file, data) => {
+  return new Promise((resolve, reject) => {
+    fs.appendFile(file, data, error => error ? reject(error) : resolve())
+  })
+}
+
+const rename = (from, to) => {
+  return new Promise((resolve, reject) => {
+    fs.rename(from, to, error => error ? reject(error) : resolve())
+  })
+}
+
+const mkdir = dir => {
+  return new Promise((resolve, reject) => {
+    fs.mkdir(dir, error => {
+      if (error && error.code !== 'EEXIST') {
+        reject(error)
+      } else {
+        resolve()
+      }
+    })
+  })
+}
+
+const parseRecord = line => {
+  if (!line) {
+    return null
+  }
+
+  try {
+    return JSON.parse(line)
+  } catch (e) {
+    // Skip lines that were only partially written
+    return null
+  }
+}
+
+const serializeRecords = records => {
+  return records.map(r => JSON.stringify(r) + '\n').join('')
+}
+
+// Reads a file one record at a time, so that it never has to fit in memory.
+// Resolves with false if the file does not exist.
+const readRecords = (file, recordHandler) => {
+  return new Promise((resolve, reject) => {
+    const input = fs.createReadStream(file, { encoding: 'utf8' })
+
+    input.on('error', error => {
+      if (error.code === 'ENOENT') {
+        resolve(false)
+      } else {
+        reject(error)
+      }
+    })
+
+    input.on('open', () => {
+      const lines = readline.createInterface({ input })
+
+      lines.on('line', line => {
+        const record = parseRecord(line)
+        if (record) {
+          recordHandler(record, lines)
+        }
+      })
+      lines.on('close', () => resolve(true))
+    })
+  })
+}
+
+const addToBucket = (buckets, record, interval) => {
+  const start = record.timestamp - (record.timestamp % interval)
+  const key = [record.address, record.sensor, record.type, start].join('|')
+
+  let bucket = buckets.get(key)
+  if (!bucket) {
+    bucket = { start, record: Object.assign({}, record, { timestamp: start }), values: [] }
+    buckets.set(key, bucket)
+  }
+
+  if (record.status === 'ok') {
+    bucket.values.push(record.value)
+  } else if (bucket.values.length === 0) {
+    bucket.record.status = record.status
+  }
+}
+
+const bucketRecord = ({ record, values }) => {
+  if (values.length > 0) {
+    const sum = values.reduce((a, b) => a + b, 0)
+    record.value = Math.round(sum / values.length * 10) / 10
+    record.status = 'ok'
+  }
+  return record
+}
+
+class ReadingHistory {
+  constructor(options) {
+    this.file = options.file
+    this.retention = options.retention || 365 * DAY
+    this.downsampleAfter = options.downsampleAfter || 7 * DAY
+    this.downsampleInterval = options.downsampleInterval || 15 * MINUTE
+    this.recordInterval = options.recordInterval || MINUTE
+    this.buffer = []
+    this.last = new Map()
+    this.queue = Promise.resolve()
+  }
+
+  // Sensors repeat the same readings in every advertisement, so a reading is
+  // only recorded when it changed, at most once per record interval, or when
+  // it has not been recorded for a downsample interval. Status changes are
+  // always recorded right away.
+  // Returns whether the reading was recorded.
+  record(address, reading, timestamp) {
+    timestamp = timestamp || Date.now()
+
+    const key = [address, reading.sensor, reading.type].join('|')
+    const last = this.last.get(key)
+
+    if (last && last.status === reading.status) {
+      const elapsed = timestamp - last.timestamp
+      const changed = last.value !== reading.value
+
+      if (elapsed < (changed ? this.recordInterval : this.downsampleInterval)) {
+        return false
+      }
+    }
+
+    const record = {
+      timestamp,
+      address,
+      sensor: reading.sensor,
+      type: reading.type,
+      value: reading.value,
+      status: reading.status,
+    }
+
+    this.last.set(key, record)
+    this.buffer.push(record)
+    return true
+  }
+
+  flush() {
+    return this._enqueue(() => this._flush())
+  }
+
+  query(filter) {
+    filter = filter || {}
+    const address = filter.address && normalizeAddress(filter.address)
+
+    return this._enqueue(() => {
+      const records = []
+
+      const recordHandler = r => {
+        if ((!filter.from || r.timestamp >= filter.from) &&
+            (!filter.to || r.timestamp <= filter.to) &&
+            (!address || normalizeAddress(r.address) === address) &&
+            (!filter.sensor || r.sensor === filter.sensor) &&
+            (!filter.type || r.type === filter.type)) {
+          records.push(r)
+        }
+      }
+
+      return this._flush()
+        .then(() => readRecords(this.file, recordHandler))
+        .then(() => records.sort((a, b) => a.timestamp - b.timestamp))
+    })
+  }
+
+  // Removes expired records and downsamples old ones. The file is streamed to
+  // a new one, records are appended in order so only the buckets that are
+  // still being filled are kept in memory.
+  compact(now) {
+    now = now || Date.now()
+
+    return this._enqueue(() => {
+      return this._flush().then(() => {
+        const tmpFile = this.file + '.tmp'
+        const buckets = new Map()
+        let output = null
+        let outputError = null
+        let paused = false
+        let read = 0
+        let written = 0
+
+        const write = (record, lines) => {
+          written++
+          if (!output.write(JSON.stringify(record) + '\n') && lines && !paused) {
+            paused = true
+            lines.pause()
+            output.once('drain', () => {
+              paused = false
+              lines.resume()
+            })
+          }
+        }
+
+        const writeBuckets = (before, lines) => {
+          for (const [key, bucket] of buckets) {
+            if (before === undefined || bucket.start + this.downsampleInterval <= before) {
+              buckets.delete(key)
+              write(bucketRecord(bucket), lines)
+            }
+          }
+        }
+
+        const recordHandler = (record, lines) => {
+          if (!output) {
+            output = fs.createWriteStream(tmpFile)
+            output.on('error', error => {
+              outputError = error
+              lines.close()
+            })
+          }
+
+          read++
+          writeBuckets(record.timestamp, lines)
+
+          if (now - record.timestamp > this.retention) {
+            return
+          } else if (now - record.timestamp > this.downsampleAfter) {
+            addToBucket(buckets, record, this.downsampleInterval)
+          } else {
+            write(record, lines)
+          }
+        }
+
+        return readRecords(this.file, recordHandler).then(() => {
+          if (!output) {
+            return 0
+          }
+
+          return new Promise((resolve, reject) => {
+            if (outputError) {
+              reject(outputError)
+              return
+            }
+
+            output.on('error', reject)
+            output.on('finish', resolve)
+            writeBuckets()
+            output.end()
+          })
+            .then(() => rename(tmpFile, this.file))
+            .then(() => read - written)
+        })
+      })
+    })
+  }
+
+  _flush() {
+    if (this.buffer.length === 0) {
+      return Promise.resolve()
+    }
+
+    const records = this.buffer.splice(0)
+
+    return mkdir(path.dirname(this.file))
+      .then(() => appendFile(this.file, serializeRecords(records)))
+      .catch(error => {
+        // Keep the records around so that they are written on the next flush
+        this.buffer = records.concat(this.buffer)
+        throw error
+      })
+  }
+
+  _enqueue(task) {
+    const result = this.queue.then(task)
+    this.queue = result.catch(() => {})
+    return result
+  }
+}
+
+ReadingHistory.FIELDS = FIELDS
+ReadingHistory.MINUTE = MINUTE
+ReadingHistory.DAY = DAY
+
+module.exports = ReadingHistory
@@ -1,11 +1,93 @@
+const fs = require('fs')
+const path = require('path')
 const packageVersion = require('./package.json').version
+const { parseAlertRules } = require('./alerts')
+const BatteryTracker = require('./battery')
+const LinkStats = require('./link-stats')
+const ReadingHistory = require('./history')
+const ScanScheduler = require('./scan-scheduler')
 const ThermSmart = require('./therm-smart')
+const Calibration = require('./calibration')
+const ConnectionManager = require('./connection-manager')
+const { createMultiTransport, createTransport } = require('./transports')
+const createCharacteristics = require('./characteristics')
+const EveHistory = require('./eve-history')
+const Metrics = require('./metrics')
+const Reading = require('./reading')
+const SensorConfig = require('./sensor-config')
+const MqttPublisher = require('./mqtt-publisher')
 
 module.exports = homebridge => {
   const Accessory = homebridge.platformAccessory
   const Characteristic = homebridge.hap.Characteristic
   const Service = homebridge.hap.Service
   const UUIDGen = homebridge.hap.uuid
+  const CustomCharacteristic = createCharacteristics(Characteristic)
+  const EveTypes = EveHistory.createServiceTypes(homebridge.hap)
+
+  const READING_CHARACTERISTICS = {
+    'temperature': [Service.TemperatureSensor, Characteristic.CurrentTemperature],
+    'maximum-temperature': [Service.TemperatureSensor, CustomCharacteristic.MaximumTemperature],
+    'minimum-temperature': [Service.TemperatureSensor, CustomCharacteristic.MinimumTemperature],
+    'humidity': [Service.HumiditySensor, Characteristic.CurrentRelativeHumidity],
+    'maximum-humidity': [Service.HumiditySensor, CustomCharacteristic.MaximumHumidity],
+    'minimum-humidity': [Service.HumiditySensor, CustomCharacteristic.MinimumHumidity],
+  }
+
+  const METRIC_NAMES = {
+    'battery-level': 'battery_level_percent',
+    'temperature': 'temperature_celsius',
+    'maximum-temperature': 'maximum_temperature_celsius',
+    'minimum-temperature': 'minimum_temperature_celsius',
+    'humidity': 'humidity_percent',
+    'maximum-humidity': 'maximum_humidity_percent',
+    'minimum-humidity': 'minimum_humidity_percent',
+  }
+
+  const ALERT_SERVICES = {
+    contact: {
+      service: Service.ContactSensor,
+      characteristic: Characteristic.ContactSensorState,
+      value: active => active
+        ? Characteristic.ContactSensorState.CONTACT_NOT_DETECTED
+        : Characteristic.ContactSensorState.CONTACT_DETECTED,
+    },
+    occupancy: {
+      service: Service.OccupancySensor,
+      characteristic: Characteristic.OccupancyDetected,
+      value: active => active
+        ? Characteristic.OccupancyDetected.OCCUPANCY_DETECTED
+        : Characteristic.OccupancyDetected.OCCUPANCY_NOT_DETECTED,
+    },
+    leak: {
+      service: Service.LeakSensor,
+      characteristic: Characteristic.LeakDetected,
+      value: active => active
+        ? Characteristic.LeakDetected.LEAK_DETECTED
+        : Characteristic.LeakDetected.LEAK_NOT_DETECTED,
+    },
+  }
+
+  const getOrAddCharacteristic = (service, characteristic) => {
+    const existing = service.characteristics.find(c => c.UUID === characteristic.UUID)
+    return existing || service.addCharacteristic(characteristic)
+  }
+
+  const accessoryUUID = (type, address) => {
+    return UUIDGen.generate(`therm-smart:${address.toLowerCase()}:${type}`)
+  }
+
+  const addReadingCharacteristics = accessory => {
+    for (const type of Object.keys(READING_CHARACTERISTICS)) {
+      const [serviceType, characteristic] = READING_CHARACTERISTICS[type]
+      const service = accessory.getService(serviceType)
+      if (service) {
+        getOrAddCharacteristic(service, characteristic)
+        getOrAddCharacteristic(service, Characteristic.StatusActive)
+        getOrAddCharacteristic(service, Characteristic.StatusFault)
+      }
+    }
+  }
 
   class ThermSmartPlatform {
     constructor(log, config, api) {
@@ -13,11 +95,141 @@ module.exports = homebridge => {
       this.config = config
       this.api = api
       this.accessories = []
+      this.eveHistories = new Map()
+      this.peripherals = new Map()
+      this.lastTemperatures = new Map()
       this.scanTimeout = null
+      this.scanPromise = null
+      this.timers = []
+      this.scanPauses = 0
+      this.deviceQueue = Promise.resolve()
+      this.storagePath = path.join(homebridge.user.storagePath(), 'therm-smart')
+
+      if (this.config.adapters) {
+        const names = this.config.adapters.map((a, i) => a.name || a.deviceId || i)
+        this.log(`Listening on ${this.config.adapters.length} adapters (${names.join(', ')})`)
+        ThermSmart.transport = createMultiTransport(
+          this.config.adapters,
+          this.config.transport,
+          {
+            deduplicationWindow: this.config.deduplicationWindow,
+            switchMargin: this.config.adapterSwitchMargin,
+          }
+        )
+        this.watchAdapters(ThermSmart.transport)
+      } else if (this.config.transport) {
+        this.log(`Using ${this.config.transport} transport`)
+        ThermSmart.transport = createTransport(
+          this.config.transport,
+          this.config.transportOptions
+        )
+      }
+
+      if (this.config.addresses) {
+        this.log('The addresses setting is deprecated, use sensors instead')
+      }
+
+      this.sensorConfig = new SensorConfig(this.config.sensors, {
+        addresses: this.config.addresses,
+        onlyConfigured: this.config.onlyConfiguredSensors,
+      })
+      this.calibration = new Calibration(this.config.calibration)
+      this.linkStats = new LinkStats(this.config.linkDiagnostics)
+      this.scheduler = new ScanScheduler({
+        mode: this.config.scanMode,
+        scanTime: this.config.scanTime,
+        idleTime: this.config.scanIdleTime,
+        log: this.log,
+      })
+      this.supervisor = new ThermSmart.AdapterSupervisor({
+        minDelay: this.config.restartDelay,
+        maxDelay: this.config.maxRestartDelay,
+      })
+      this.supervisor.on('down', state => {
+        this.log(`Bluetooth adapter is not available (state: ${state}), waiting for it to return`)
+        this.updateAdapterStatus()
+      })
+      this.supervisor.on('up', () => {
+        this.log('Bluetooth adapter is available again')
+        this.updateAdapterStatus()
+      })
+      this.supervisor.on('restart', (delay, failures) => {
+        const attempts = failures > 0 ? ` (${failures} failed attempts)` : ''
+        this.log(`Restarting the scan in ${delay} ms${attempts}`)
+      })
+
+      this.scheduler.on('interval', (address, sensor, interval) => {
+        this.log(
+          `${sensor} sensor ${address} reports every ${Math.round(interval / 100) / 10} s`
+        )
+      })
+      this.battery = new BatteryTracker({
+        file: path.join(this.getStoragePath(), 'battery.json'),
+        lowThreshold: this.config.lowBatteryThreshold,
+        log: this.log,
+      })
+      this.alertRules = parseAlertRules(this.config.alerts, this.log)
+
+      this.history = null
+      if (this.config.history) {
+        this.history = this.createHistory(
+          this.config.history === true ? {} : this.config.history
+        )
+      }
+
+      this.mqtt = null
+      if (this.config.mqtt) {
+        this.mqtt = new MqttPublisher(this.config.mqtt, this.log)
+      }
+
+      this.metrics = null
+      if (this.config.metrics) {
+        this.metrics = this.createMetrics()
+      }
 
       this.api.on('didFinishLaunching', () => {
-        this.scan()
+        if (this.mqtt) {
+          this.mqtt.start()
+        }
+
+        if (this.metrics) {
+          this.startMetricsServer()
+        }
+
+        this.migrateAccessories()
+        this.supervisor.start(() => this.scan())
+        this.updateAdapterStatus()
         this.startPeriodicCleaning()
+
+        if (this.config.clockSync) {
+          this.startClockSync()
+        }
+
+        if (this.config.deviceInfo !== false) {
+          this.startDeviceInfoRefresh()
+        }
+
+        if (this.history) {
+          this.startHistoryMaintenance()
+        }
+      })
+
+      this.api.on('shutdown', () => {
+        clearTimeout(this.scanTimeout)
+        this.timers.forEach(clearTimeout)
+        this.supervisor.stop()
+
+        if (this.history) {
+          this.history.flush().catch(error => {
+            this.log('An error occurred while writing the reading history:', error)
+          })
+        }
+        if (this.mqtt) {
+          this.mqtt.stop()
+        }
+        if (this.metrics) {
+          this.metrics.close()
+        }
       })
     }
 
@@ -27,28 +239,51 @@ module.exports = homebridge => {
 
       accessory.reachable = true
 
-      accessory.getService(Service.AccessoryInformation)
-        .setCharacteristic(Characteristic.FirmwareRevision, packageVersion)
+      const information = accessory.getService(Service.AccessoryInformation)
+      information.setCharacteristic(Characteristic.FirmwareRevision, packageVersion)
+
+      const name = this.sensorConfig.getName(ctx.address, ctx.type)
+      if (name) {
+        information.setCharacteristic(Characteristic.Name, name)
+      }
+
+      if (ctx.deviceInfo) {
+        this.applyDeviceInfo(accessory)
+      }
+
+      addReadingCharacteristics(accessory)
+      this.setupEveHistory(accessory)
+      this.setupAlertServices(accessory)
+      this.setupIdentify(accessory)
 
       this.accessories.push(accessory)
     }
 
-    addAccessory(type, address) {
+    addAccessory(type, address, context) {
       if (!type || !address) {
         throw new Error('Accessory must have a type and an address')
       }
 
       const capitalizedType = type.charAt(0).toUpperCase() + type.slice(1)
-      const name = `ThermSmart ${capitalizedType} sensor`
-      const uuid = UUIDGen.generate(name)
-      const accessory = new Accessory(name, uuid)
+      let name = this.sensorConfig.getName(address, type)
+      if (!name) {
+        name = `ThermSmart ${capitalizedType} sensor`
+
+        // Tell the sensors of multiple base stations apart
+        if (this.accessories.some(a => a.displayName === name)) {
+          name += ' ' + address.replace(/:/g, '').slice(-4).toUpperCase()
+        }
+      }
+
+      const accessory = new Accessory(name, accessoryUUID(type, address))
       const ctx = accessory.context
 
       this.log(`Adding new ${type} sensor with address ${address}`)
 
+      Object.assign(ctx, context)
       ctx.type = type
       ctx.address = address
-      ctx.lastUpdated = Date.now()
+      ctx.lastUpdated = ctx.lastUpdated || Date.now()
 
       accessory.addService(Service.TemperatureSensor, name + ' temperature')
         .getCharacteristic(Characteristic.CurrentTemperature)
@@ -70,12 +305,186 @@ module.exports = homebridge => {
         .setCharacteristic(Characteristic.SerialNumber, address)
         .setCharacteristic(Characteristic.FirmwareRevision, packageVersion)
 
+      addReadingCharacteristics(accessory)
+      this.setupEveHistory(accessory)
+      this.setupAlertServices(accessory)
+      this.setupIdentify(accessory)
+
       this.accessories.push(accessory)
       this.api.registerPlatformAccessories('homebridge-therm-smart', 'ThermSmart', [accessory])
 
       return accessory
     }
 
+    migrateAccessories() {
+      const toRemove = this.accessories.filter(accessory => {
+        const ctx = accessory.context
+        return this.sensorConfig.isIgnored(ctx.address, ctx.type)
+      })
+
+      if (toRemove.length > 0) {
+        this.log(`Removing ${toRemove.length} ignored accessories`)
+        this.removeAccessories(toRemove)
+      }
+
+      // Accessories created by older versions have an identifier that only
+      // depends on the sensor type, which collides when there are multiple
+      // base stations. They are kept by default, since replacing them loses
+      // their room and automations in HomeKit.
+      const legacy = this.accessories.filter(accessory => {
+        const ctx = accessory.context
+        return accessory.UUID !== accessoryUUID(ctx.type, ctx.address)
+      })
+
+      if (legacy.length === 0) {
+        return
+      } else if (!this.config.migrateAccessories) {
+        this.log(
+          `${legacy.length} accessories use a legacy identifier,`,
+          'set migrateAccessories to replace them'
+        )
+        return
+      }
+
+      this.log(`Migrating ${legacy.length} accessories to address based identifiers`)
+      this.removeAccessories(legacy)
+
+      for (const accessory of legacy) {
+        const ctx = accessory.context
+        this.addAccessory(ctx.type, ctx.address, ctx)
+      }
+    }
+
+    removeAccessories(accessories) {
+      this.api.unregisterPlatformAccessories(
+        'homebridge-therm-smart',
+        'ThermSmart',
+        accessories
+      )
+
+      this.accessories = this.accessories.filter(a => !accessories.includes(a))
+      for (const accessory of accessories) {
+        this.eveHistories.delete(accessory.UUID)
+      }
+    }
+
+    setupEveHistory(accessory) {
+      if (this.config.eveHistory === false) {
+        return
+      }
+
+      const ctx = accessory.context
+      const service = accessory.getService(EveTypes.HistoryService) ||
+        accessory.addService(EveTypes.HistoryService, accessory.displayName + ' history')
+
+      this.eveHistories.set(accessory.UUID, new EveHistory({
+        types: ctx.type === 'indoor' ? ['temperature', 'humidity'] : ['temperature'],
+        service,
+        characteristics: EveTypes,
+        file: path.join(
+          this.getStoragePath(),
+          `eve-${ctx.address.replace(/:/g, '')}-${ctx.type}.json`
+        ),
+        log: this.log,
+      }))
+    }
+
+    getAlertRules(accessory) {
+      const ctx = accessory.context
+
+      return this.alertRules.filter(rule => {
+        return rule.matches(ctx.address, ctx.type) &&
+          (rule.type.indexOf('humidity') === -1 || ctx.type === 'indoor')
+      })
+    }
+
+    setupIdentify(accessory) {
+      accessory.on('identify', (paired, callback) => {
+        const ctx = accessory.context
+        this.log(`Identifying ${ctx.type} sensor ${ctx.address}`)
+
+        // Connecting can take a while, so the result is only logged
+        callback()
+
+        this.withDevice(ctx.address, connection => connection.identify())
+          .catch(error => {
+            this.log(`Could not identify ${ctx.type} sensor ${ctx.address}:`, error.message)
+          })
+      })
+    }
+
+    setupAlertServices(accessory) {
+      const ctx = accessory.context
+      const rules = this.getAlertRules(accessory)
+      const alerts = ctx.alerts || (ctx.alerts = {})
+
+      // Remove services for rules that are no longer configured
+      for (const service of accessory.services.slice()) {
+        if (service.subtype && service.subtype.indexOf('alert-') === 0 &&
+            !rules.some(r => r.id === service.subtype &&
+              ALERT_SERVICES[r.serviceType].service.UUID === service.UUID)) {
+          accessory.removeService(service)
+          delete alerts[service.subtype]
+        }
+      }
+
+      for (const rule of rules) {
+        const alertService = ALERT_SERVICES[rule.serviceType]
+        let service = accessory.services.find(s => s.subtype === rule.id)
+        if (!service) {
+          service = accessory.addService(alertService.service, rule.name, rule.id)
+        }
+
+        const state = alerts[rule.id]
+        service.getCharacteristic(alertService.characteristic)
+          .setValue(alertService.value(!!(state && state.active)))
+      }
+    }
+
+    evaluateAlerts(accessory, reading) {
+      const ctx = accessory.context
+      const alerts = ctx.alerts || (ctx.alerts = {})
+
+      for (const rule of this.getAlertRules(accessory)) {
+        if (rule.type !== reading.type) {
+          continue
+        }
+
+        const previous = alerts[rule.id]
+        const state = rule.evaluate(previous, reading)
+        alerts[rule.id] = state
+
+        if (previous && previous.active === state.active) {
+          continue
+        }
+
+        if (state.active || previous) {
+          this.log(
+            `${rule.name} (${rule.description}) is now ${state.active ? 'active' : 'inactive'}`,
+            `on ${ctx.type} sensor ${ctx.address}: ${reading.value} ${reading.symbol}`
+          )
+        }
+
+        const alertService = ALERT_SERVICES[rule.serviceType]
+        const service = accessory.services.find(s => s.subtype === rule.id)
+        if (service) {
+          service.getCharacteristic(alertService.characteristic)
+            .setValue(alertService.value(state.active))
+        }
+      }
+    }
+
+    getStoragePath() {
+      try {
+        fs.mkdirSync(this.storagePath)
+      } catch (e) {
+        if (e.code !== 'EEXIST') {
+          throw e
+        }
+      }
+      return this.storagePath
+    }
+
     getAccessory(type, address) {
       for (let accessory of this.accessories) {
         const ctx = accessory.context
@@ -88,26 +497,36 @@ module.exports = homebridge => {
 
     readingHandler(reading, peripheral) {
       const address = peripheral.address
-      if (!address) {
+      if (!address || this.sensorConfig.isIgnored(address, reading.sensor)) {
         return
       }
 
+      this.peripherals.set(address, peripheral)
+
+      if (reading.type === 'battery-level') {
+        this.updateLink(address, reading)
+      }
+
+      reading = this.calibration.apply(address, reading)
+
+      if (this.history) {
+        this.history.record(address, reading)
+      }
+
+      if (this.mqtt) {
+        this.mqtt.publishReading(address, reading)
+      }
+
+      if (this.metrics) {
+        this.updateMetrics(address, reading)
+      }
+
       if (!reading.sensor) {
         if (reading.type === 'battery-level') {
-          const level = reading.value
-          const SLB = Characteristic.StatusLowBattery
-          const status = level < 10 ? SLB.BATTERY_LEVEL_LOW : SLB.BATTERY_LEVEL_NORMAL
-
-          for (let accessory of this.accessories) {
-            if (accessory.context.address === address) {
-              const service = accessory.getService(Service.BatteryService)
-              service.getCharacteristic(Characteristic.BatteryLevel).setValue(level)
-              service.getCharacteristic(SLB).setValue(status)
-            }
-          }
+          this.updateBattery(address, reading.value)
         }
       } else {
-        if (reading.type !== 'temperature' && reading.type !== 'humidity') {
+        if (!READING_CHARACTERISTICS[reading.type]) {
           return
         }
 
@@ -118,72 +537,681 @@ module.exports = homebridge => {
 
         accessory.context.lastUpdated = Date.now()
 
-        if (reading.type === 'temperature') {
-          accessory.getService(Service.TemperatureSensor)
+        if (accessory.context.unresponsive) {
+          this.setResponsive(accessory, true)
+        }
+
+        const [serviceType, characteristicType] = READING_CHARACTERISTICS[reading.type]
+        const service = accessory.getService(serviceType)
+        if (!service) {
+          return
+        }
+
+        if (reading.type === 'temperature' || reading.type === 'humidity') {
+          this.updateServiceStatus(accessory, service, reading)
+        }
+
+        if (!reading.ok) {
+          // Keep the last good value rather than passing on the fault
+          return
+        }
+
+        const characteristic = service.getCharacteristic(characteristicType)
+        if (characteristic.value !== reading.value &&
+            reading.type !== 'temperature' && reading.type !== 'humidity') {
+          this.log(
+            `${reading.sensor} sensor ${address}: ${reading.type.replace('-', ' ')}`,
+            `is now ${reading.value} ${reading.symbol}`
+          )
+        }
+
+        characteristic.setValue(reading.value)
+
+        const eveHistory = this.eveHistories.get(accessory.UUID)
+        if (eveHistory) {
+          eveHistory.addValue(reading.type, reading.value)
+        }
+
+        if (this.config.derivedReadings) {
+          this.updateDerivedReadings(accessory, reading)
+        }
+
+        if (this.alertRules.length > 0) {
+          this.evaluateAlerts(accessory, reading)
+        }
+      }
+    }
+
+    updateDerivedReadings(accessory, reading) {
+      if (reading.type === 'temperature') {
+        this.lastTemperatures.set(accessory.UUID, reading)
+        return
+      } else if (reading.type !== 'humidity') {
+        return
+      }
+
+      const derivedReadings = Reading.derive(this.lastTemperatures.get(accessory.UUID), reading)
+
+      for (const derived of derivedReadings) {
+        if (derived.type === 'absolute-humidity') {
+          getOrAddCharacteristic(
+            accessory.getService(Service.HumiditySensor),
+            CustomCharacteristic.AbsoluteHumidity
+          ).setValue(derived.value)
+        } else {
+          this.getDerivedService(accessory, derived.type)
             .getCharacteristic(Characteristic.CurrentTemperature)
-            .setValue(reading.value)
-        } else if (reading.type === 'humidity') {
-          accessory.getService(Service.HumiditySensor)
-            .getCharacteristic(Characteristic.CurrentRelativeHumidity)
-            .setValue(reading.value)
+            .setValue(derived.value)
+        }
+      }
+    }
+
+    getDerivedService(accessory, type) {
+      const service = accessory.services.find(
+        s => s.UUID === Service.TemperatureSensor.UUID && s.subtype === type
+      )
+      if (service) {
+        return service
+      }
+
+      const newService = accessory.addService(
+        Service.TemperatureSensor,
+        `${accessory.displayName} ${type.replace('-', ' ')}`,
+        type
+      )
+      newService.getCharacteristic(Characteristic.CurrentTemperature)
+        .setProps({ minValue: -100 })
+
+      return newService
+    }
+
+    updateLink(address, reading) {
+      this.linkStats.record(address, reading)
+      const { warnings, changed } = this.linkStats.check(address)
+
+      if (changed && warnings.length > 0) {
+        this.log(
+          `Link to sensor ${address} is degrading:`,
+          warnings.map(w => w.message).join(', ')
+        )
+      } else if (changed) {
+        this.log(`Link to sensor ${address} is healthy again`)
+      }
+
+      if (this.metrics && typeof reading.rssi === 'number') {
+        this.metrics.set('signal_strength_dbm', { address }, reading.rssi)
+      }
+    }
+
+    updateBattery(address, level) {
+      const result = this.battery.record(address, level)
+      const estimate = this.battery.estimate(address)
+
+      if (result.becameLow) {
+        this.log(
+          `Warning: battery of sensor ${address} is low (${level} %,`,
+          `threshold ${this.battery.lowThreshold} %)`
+        )
+      } else if (result.recovered) {
+        this.log(`Battery of sensor ${address} is no longer low (${level} %)`)
+      }
+
+      if (result.sampled && estimate.daysRemaining !== null) {
+        this.log(
+          `Battery of sensor ${address} is at ${level} %, discharging`,
+          `${estimate.ratePerDay} % per day, about ${estimate.daysRemaining} days remaining`
+        )
+      }
+
+      const SLB = Characteristic.StatusLowBattery
+      const status = this.battery.isLow(address)
+        ? SLB.BATTERY_LEVEL_LOW
+        : SLB.BATTERY_LEVEL_NORMAL
+
+      for (let accessory of this.accessories) {
+        if (accessory.context.address === address) {
+          const service = accessory.getService(Service.BatteryService)
+          service.getCharacteristic(Characteristic.BatteryLevel).setValue(level)
+          service.getCharacteristic(SLB).setValue(status)
+
+          if (estimate.daysRemaining !== null) {
+            getOrAddCharacteristic(service, CustomCharacteristic.BatteryDaysRemaining)
+              .setValue(Math.min(estimate.daysRemaining, 3650))
+          }
+        }
+      }
+    }
+
+    updateServiceStatus(accessory, service, reading) {
+      const ctx = accessory.context
+      const statuses = ctx.statuses || (ctx.statuses = {})
+      const previousStatus = statuses[reading.type]
+
+      if (previousStatus !== reading.status) {
+        if (!reading.ok) {
+          this.log(
+            `${ctx.type} sensor ${ctx.address}: ${reading.type} fault`,
+            `(${reading.statusDescription})`
+          )
+        } else if (previousStatus) {
+          this.log(`${ctx.type} sensor ${ctx.address}: ${reading.type} recovered`)
+        }
+
+        statuses[reading.type] = reading.status
+      }
+
+      const SF = Characteristic.StatusFault
+
+      service.getCharacteristic(Characteristic.StatusActive)
+        .setValue(reading.ok)
+      service.getCharacteristic(SF)
+        .setValue(reading.ok ? SF.NO_FAULT : SF.GENERAL_FAULT)
+    }
+
+    setResponsive(accessory, responsive) {
+      const ctx = accessory.context
+
+      ctx.unresponsive = !responsive
+
+      if (responsive) {
+        this.log(`${ctx.type} sensor ${ctx.address} is responding again`)
+      } else {
+        const minutes = Math.round((Date.now() - ctx.lastUpdated) / 60000)
+        this.log(
+          `${ctx.type} sensor ${ctx.address} has not been seen for ${minutes} minutes,`,
+          'marking it as not responding'
+        )
+      }
+
+      this.updateAvailability(accessory)
+    }
+
+    updateAvailability(accessory) {
+      const ctx = accessory.context
+      const statuses = ctx.statuses || {}
+      const SF = Characteristic.StatusFault
+      const available = !ctx.unresponsive && !this.supervisor.down
+
+      for (const type of ['temperature', 'humidity']) {
+        const service = accessory.getService(READING_CHARACTERISTICS[type][0])
+        if (!service) {
+          continue
+        }
+
+        // Restore the status of the last reading when the sensor returns
+        const active = available && (!statuses[type] || statuses[type] === Reading.OK)
+        service.getCharacteristic(Characteristic.StatusActive).setValue(active)
+        service.getCharacteristic(SF).setValue(active ? SF.NO_FAULT : SF.GENERAL_FAULT)
+      }
+    }
+
+    createMetrics() {
+      const metrics = new Metrics('thermsmart_')
+
+      for (const type of Object.keys(METRIC_NAMES)) {
+        metrics.gauge(METRIC_NAMES[type], `Latest ${type.replace('-', ' ')} reading`)
+      }
+
+      metrics.gauge(
+        'last_advertisement_timestamp_seconds',
+        'Time when the last advertisement was seen from a sensor'
+      )
+      metrics.gauge('signal_strength_dbm', 'Signal strength of the latest advertisement')
+      metrics.gauge('adapter_up', 'Whether the Bluetooth adapter is powered on')
+      metrics.counter('scan_cycles_total', 'Number of started scan cycles')
+      metrics.counter('scan_errors_total', 'Number of scan cycles that failed')
+      metrics.counter('parse_failures_total', 'Number of advertisements that could not be parsed')
+      metrics.gauge('unresponsive_accessories', 'Number of accessories marked as not responding')
+      metrics.counter('stale_accessory_removals_total', 'Number of removed stale accessories')
+
+      return metrics
+    }
+
+    startMetricsServer() {
+      const options = this.config.metrics === true ? {} : this.config.metrics
+      const port = options.port !== undefined ? options.port : 9464
+
+      this.metrics.listen(port, options.host, error => {
+        if (error) {
+          this.log('Could not start the metrics server:', error.message)
+        } else {
+          // Port 0 picks a free port, so log the one actually used
+          this.log(`Serving metrics on port ${this.metrics.server.address().port}`)
         }
+      }, error => {
+        this.log('A metrics server error occurred:', error.message)
+      })
+    }
+
+    updateMetrics(address, reading) {
+      this.metrics.set(
+        'last_advertisement_timestamp_seconds',
+        { address },
+        Math.floor(Date.now() / 1000)
+      )
+
+      const name = METRIC_NAMES[reading.type]
+      if (!name) {
+        return
+      }
+
+      const labels = reading.sensor ? { address, sensor: reading.sensor } : { address }
+      if (reading.ok) {
+        this.metrics.set(name, labels, reading.value)
+      } else {
+        this.metrics.remove(name, labels)
+      }
+    }
+
+    parseErrorHandler(error, peripheral) {
+      this.log(`Could not parse advertisement from ${peripheral.address}:`, error.message)
+
+      if (peripheral.address) {
+        this.linkStats.recordParseError(peripheral.address, error)
+      }
+
+      if (this.metrics) {
+        this.metrics.inc('parse_failures_total')
       }
     }
 
     scan() {
-      if (this.scanTimeout !== null) {
-        clearTimeout(this.scanTimeout)
+      clearTimeout(this.scanTimeout)
+      this.scanTimeout = null
+
+      if (this.scanPauses > 0 || this.scanPromise) {
+        return
       }
 
-      this.scanTimeout = setTimeout(() => {
-        ThermSmart.stopScan()
-      }, this.config.scanTime || 10 * 1000)
+      if (!this.supervisor.running || !this.supervisor.available) {
+        // The supervisor starts scanning again when the adapter returns
+        return
+      }
+
+      if (this.metrics) {
+        this.metrics.inc('scan_cycles_total')
+      }
 
-      const addresses = this.config.addresses
-        ? this.config.addresses.map(a => a.toLowerCase().replace(/:/g, ''))
-        : null
+      this.scheduler.startCycle(this.getExpectedSensors())
+
+      const duration = this.scheduler.duration
+      if (duration) {
+        this.scanTimeout = setTimeout(() => {
+          ThermSmart.stopScan()
+        }, duration)
+      }
+
+      const addresses = this.sensorConfig.addresses
+      const readingHandler = (reading, peripheral) => {
+        this.readingHandler(reading, peripheral)
+
+        // Every channel reports its temperature once per advertisement
+        if (reading.sensor && reading.type === 'temperature' && peripheral.address &&
+            this.scheduler.record(peripheral.address, reading.sensor)) {
+          clearTimeout(this.scanTimeout)
+          this.scanTimeout = null
+          ThermSmart.stopScan()
+        }
+      }
 
-      ThermSmart.scanForReadings(this.readingHandler.bind(this), addresses)
-        .catch(error => {
+      this.scanPromise = ThermSmart.scanForReadings(readingHandler, addresses, {
+        parseErrorHandler: this.parseErrorHandler.bind(this),
+      })
+        .then(() => {
+          this.supervisor.succeeded()
+          return true
+        }, error => {
           this.log('An error occurred while scanning for sensor readings:', error)
+
+          if (this.metrics) {
+            this.metrics.inc('scan_errors_total')
+          }
+
+          this.supervisor.failed(error)
+          return false
         })
-        .then(() => {
-          if (this.scanTimeout === null) {
-            clearTimeout(this.scanTimeout)
+        .then(succeeded => {
+          this.scanPromise = null
+          clearTimeout(this.scanTimeout)
+          this.scanTimeout = null
+
+          // After a failure the supervisor decides when to try again
+          if (!succeeded || this.scanPauses > 0 || !this.supervisor.running) {
+            return
           }
 
           this.scanTimeout = setTimeout(() => {
             this.scan()
-          }, this.scanIdleTime || 2 * 60 * 1000)
+          }, this.scheduler.nextDelay())
         })
     }
 
+    watchAdapters(transport) {
+      transport.on('adapterStateChange', (name, state) => {
+        this.log(`Adapter ${name} is ${state}`)
+      })
+      transport.on('adapterError', (name, error) => {
+        this.log(`Could not start scanning on adapter ${name}:`, error.message)
+      })
+      transport.on('bestAdapter', (address, name, rssi) => {
+        this.log(`Sensor ${address} now has the best signal on adapter ${name} (${rssi} dBm)`)
+      })
+    }
+
+    updateAdapterStatus() {
+      if (this.metrics) {
+        this.metrics.set('adapter_up', {}, this.supervisor.down ? 0 : 1)
+      }
+
+      for (const accessory of this.accessories) {
+        this.updateAvailability(accessory)
+      }
+    }
+
+    getExpectedSensors() {
+      return this.accessories
+        .filter(accessory => !accessory.context.unresponsive)
+        .map(accessory => ({
+          address: accessory.context.address,
+          sensor: accessory.context.type,
+        }))
+    }
+
+    createHistory(options) {
+      const day = ReadingHistory.DAY
+      const minute = ReadingHistory.MINUTE
+
+      return new ReadingHistory({
+        file: path.join(this.storagePath, 'history.jsonl'),
+        retention: options.retentionDays && options.retentionDays * day,
+        downsampleAfter: options.downsampleAfterDays && options.downsampleAfterDays * day,
+        downsampleInterval: options.downsampleMinutes && options.downsampleMinutes * minute,
+        recordInterval: options.recordMinutes && options.recordMinutes * minute,
+      })
+    }
+
+    startHistoryMaintenance() {
+      const flushInterval = this.config.history.flushInterval || 30 * 1000
+      const compactInterval = 6 * 60 * 60 * 1000
+
+      const compact = () => {
+        this.history.compact()
+          .then(removed => {
+            if (removed > 0) {
+              this.log(`Compacted reading history (${removed} records removed)`)
+            }
+          })
+          .catch(error => {
+            this.log('An error occurred while compacting the reading history:', error)
+          })
+      }
+
+      this.timers.push(setInterval(() => {
+        this.history.flush().catch(error => {
+          this.log('An error occurred while writing the reading history:', error)
+        })
+      }, flushInterval))
+
+      this.timers.push(setInterval(compact, compactInterval))
+      compact()
+    }
+
+    pauseScanning() {
+      this.scanPauses++
+
+      clearTimeout(this.scanTimeout)
+      this.scanTimeout = null
+
+      if (this.scanPromise) {
+        const scanPromise = this.scanPromise
+        ThermSmart.stopScan()
+        return scanPromise
+      }
+      return Promise.resolve()
+    }
+
+    resumeScanning() {
+      this.scanPauses--
+      if (this.scanPauses === 0) {
+        this.scan()
+      }
+    }
+
+    withDevice(address, task) {
+      // Connections are made one at a time, with the advertisement scan paused
+      const run = () => {
+        return this.pauseScanning()
+          .then(() => this.findDevice(address))
+          .then(device => {
+            const connection = new ConnectionManager(device, this.config.connection)
+
+            connection.on('retry', (command, attempt, error, wait) => {
+              this.log(
+                `Retrying ${command} on sensor ${address} in ${wait} ms`,
+                `(attempt ${attempt}, ${error.message})`
+              )
+            })
+            connection.on('reconnecting', () => {
+              this.log(`Sensor ${address} disconnected unexpectedly, reconnecting`)
+            })
+
+            return task(connection)
+              .then(result => {
+                return connection.close().then(() => result)
+              }, error => {
+                return connection.close().then(() => { throw error }, () => { throw error })
+              })
+          })
+          .then(result => {
+            this.resumeScanning()
+            return result
+          }, error => {
+            this.resumeScanning()
+            throw error
+          })
+      }
+
+      const result = this.deviceQueue.then(run)
+      this.deviceQueue = result.catch(() => {})
+      return result
+    }
+
+    // Uses the peripheral from the latest advertisement when there is one,
+    // rather than scanning for it again
+    findDevice(address) {
+      const peripheral = this.peripherals.get(address)
+      if (peripheral) {
+        return Promise.resolve(new ThermSmart(peripheral))
+      }
+      return ThermSmart.find(address, this.config.connectScanTime)
+    }
+
+    getKnownAddresses() {
+      const addresses = []
+      for (const accessory of this.accessories) {
+        if (addresses.indexOf(accessory.context.address) === -1) {
+          addresses.push(accessory.context.address)
+        }
+      }
+      return addresses
+    }
+
+    startClockSync() {
+      const options = this.config.clockSync === true ? {} : this.config.clockSync
+      const interval = (options.intervalHours || 24) * 60 * 60 * 1000
+      const maxDrift = options.maxDrift || 60
+
+      const checkClocks = () => {
+        for (const address of this.getKnownAddresses()) {
+          this.checkClock(address, maxDrift)
+            .catch(error => {
+              this.log(`Could not check the clock of sensor ${address}:`, error.message)
+            })
+        }
+      }
+
+      this.timers.push(setTimeout(() => {
+        checkClocks()
+        this.timers.push(setInterval(checkClocks, interval))
+      }, options.initialDelay || 60 * 1000))
+    }
+
+    startDeviceInfoRefresh() {
+      const options = this.config.deviceInfo || {}
+      const interval = (options.intervalHours || 24) * 60 * 60 * 1000
+
+      // The first refresh only connects to sensors without cached information,
+      // so restarting homebridge does not connect to every sensor
+      const refresh = skipCached => {
+        for (const address of this.getKnownAddresses()) {
+          const cached = this.accessories.some(a => {
+            return a.context.address === address && a.context.deviceInfo
+          })
+          if (skipCached && cached) {
+            continue
+          }
+
+          this.refreshDeviceInfo(address)
+            .catch(error => {
+              this.log(`Could not read the device information of sensor ${address}:`, error.message)
+            })
+        }
+      }
+
+      this.timers.push(setTimeout(() => {
+        refresh(true)
+        this.timers.push(setInterval(refresh, interval))
+      }, options.initialDelay || 30 * 1000))
+    }
+
+    refreshDeviceInfo(address) {
+      return this.withDevice(address, connection => connection.readInfo()).then(info => {
+        const accessories = this.accessories.filter(a => a.context.address === address)
+        const changed = accessories.some(a => {
+          return JSON.stringify(a.context.deviceInfo) !== JSON.stringify(info)
+        })
+
+        if (changed) {
+          this.log(
+            `Sensor ${address} is a ${info.manufacturer || 'unknown'} ${info.model || 'sensor'}`,
+            `with firmware ${info.firmwareRevision || 'unknown'}`
+          )
+        }
+
+        for (const accessory of accessories) {
+          accessory.context.deviceInfo = info
+          this.applyDeviceInfo(accessory)
+        }
+        return info
+      })
+    }
+
+    applyDeviceInfo(accessory) {
+      const info = accessory.context.deviceInfo
+      const service = accessory.getService(Service.AccessoryInformation)
+      const values = [
+        [Characteristic.Manufacturer, info.manufacturer],
+        [Characteristic.Model, info.model],
+        [Characteristic.SerialNumber, info.serialNumber],
+        [Characteristic.FirmwareRevision, info.firmwareRevision],
+        [Characteristic.HardwareRevision, info.hardwareRevision],
+      ]
+
+      for (const [characteristic, value] of values) {
+        if (value) {
+          service.setCharacteristic(characteristic, value)
+        }
+      }
+    }
+
+    checkClock(address, maxDrift) {
+      const accessories = this.accessories.filter(a => a.context.address === address)
+      const timezoneOffset = new Date().getTimezoneOffset()
+
+      return this.withDevice(address, connection => {
+        return connection.readTime().then(time => {
+          const drift = Math.round((time.getTime() - Date.now()) / 1000)
+          this.log(`Clock of sensor ${address} is off by ${drift} seconds`)
+
+          const syncedOffsets = accessories
+            .map(a => a.context.clockTimezoneOffset)
+            .filter(o => o !== undefined)
+          const dstChanged = syncedOffsets.some(o => o !== timezoneOffset)
+
+          for (const accessory of accessories) {
+            accessory.context.clockDrift = drift
+            accessory.context.clockCheckedAt = Date.now()
+            getOrAddCharacteristic(
+              accessory.getService(Service.AccessoryInformation),
+              CustomCharacteristic.ClockDrift
+            ).setValue(drift)
+          }
+
+          if (Math.abs(drift) <= maxDrift && !dstChanged) {
+            for (const accessory of accessories) {
+              accessory.context.clockTimezoneOffset = timezoneOffset
+            }
+            return
+          }
+
+          this.log(
+            `Synchronizing the clock of sensor ${address}`,
+            dstChanged ? '(daylight saving time changed)' : `(drift exceeds ${maxDrift} seconds)`
+          )
+
+          return connection.syncTime().then(() => {
+            for (const accessory of accessories) {
+              accessory.context.clockDrift = 0
+              accessory.context.clockTimezoneOffset = timezoneOffset
+              getOrAddCharacteristic(
+                accessory.getService(Service.AccessoryInformation),
+                CustomCharacteristic.ClockDrift
+              ).setValue(0)
+            }
+          })
+        })
+      })
+    }
+
     startPeriodicCleaning() {
       const cleanUpInterval = this.config.cleanUpInterval || 5 * 60 * 1000
       const maxStaleTime = this.config.maxStaleTime || 15 * 60 * 1000
+      // Stale accessories are only removed when this is set, so that they keep
+      // their room assignment and automations while a sensor is out of range
+      const removeStaleAfter = this.config.removeStaleAfter || 0
 
-      setInterval(() => {
+      this.timers.push(setInterval(() => {
         const toRemove = []
         const now = Date.now()
 
         for (let accessory of this.accessories) {
-          if (now - accessory.context.lastUpdated > maxStaleTime) {
+          const staleTime = now - accessory.context.lastUpdated
+
+          if (removeStaleAfter && staleTime > removeStaleAfter) {
             toRemove.push(accessory)
+          } else if (staleTime > maxStaleTime && !accessory.context.unresponsive) {
+            this.setResponsive(accessory, false)
           }
         }
 
+        if (this.metrics) {
+          this.metrics.set(
+            'unresponsive_accessories',
+            {},
+            this.accessories.filter(a => a.context.unresponsive).length
+          )
+        }
+
         if (toRemove.length > 0) {
           this.log(`Removing ${toRemove.length} stale accessories`)
 
-          this.api.unregisterPlatformAccessories(
-            'homebridge-therm-smart',
-            'ThermSmart',
-            toRemove
-          )
+          if (this.metrics) {
+            this.metrics.inc('stale_accessory_removals_total', {}, toRemove.length)
+          }
 
-          this.accessories = this.accessories.filter(a => !toRemove.includes(a))
+          this.removeAccessories(toRemove)
         }
-      }, cleanUpInterval)
+      }, cleanUpInterval))
     }
   }
 
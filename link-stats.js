@@ -0,0 +1,126 @@
+const { normalizeAddress } = require('./protocol')
+
+const MAX_PARSE_ERRORS = 5
+
+class LinkStats {
+  constructor(options) {
+    options = options || {}
+
+    this.weakSignal = options.weakSignal !== undefined ? options.weakSignal : -90
+    this.signalDrop = options.signalDrop || 10
+    this.slowdown = options.slowdown || 3
+    this.links = new Map()
+  }
+
+  get(address) {
+    const key = normalizeAddress(address)
+    let link = this.links.get(key)
+    if (!link) {
+      link = {
+        address,
+        adapters: new Set(),
+        count: 0,
+        firstSeen: null,
+        lastSeen: null,
+        rssi: null,
+        minRssi: null,
+        maxRssi: null,
+        // Slow moving averages that the recent values are compared with
+        baselineRssi: null,
+        interval: null,
+        baselineInterval: null,
+        batteryLevel: null,
+        parseErrors: [],
+        warnings: [],
+      }
+      this.links.set(key, link)
+    }
+    return link
+  }
+
+  // Records an advertisement, from the battery level reading that each
+  // advertisement starts with
+  record(address, reading, now) {
+    now = now || Date.now()
+
+    const { rssi, interval } = reading
+    const link = this.get(address)
+    link.count++
+    link.firstSeen = link.firstSeen || now
+    link.lastSeen = now
+    link.batteryLevel = reading.value
+
+    if (reading.adapter) {
+      link.adapters.add(reading.adapter)
+    }
+
+    if (typeof rssi === 'number') {
+      link.rssi = link.rssi === null ? rssi : link.rssi * 0.7 + rssi * 0.3
+      link.baselineRssi = link.baselineRssi === null
+        ? rssi
+        : link.baselineRssi * 0.98 + rssi * 0.02
+      link.minRssi = link.minRssi === null ? rssi : Math.min(link.minRssi, rssi)
+      link.maxRssi = link.maxRssi === null ? rssi : Math.max(link.maxRssi, rssi)
+    }
+
+    if (typeof interval === 'number') {
+      link.interval = link.interval === null ? interval : link.interval * 0.7 + interval * 0.3
+      link.baselineInterval = link.baselineInterval === null
+        ? interval
+        : Math.min(link.baselineInterval * 0.98 + interval * 0.02, link.interval)
+    }
+
+    return link
+  }
+
+  recordParseError(address, error, now) {
+    const link = this.get(address)
+    link.parseErrors.push({ time: now || Date.now(), message: error.message })
+    if (link.parseErrors.length > MAX_PARSE_ERRORS) {
+      link.parseErrors.shift()
+    }
+  }
+
+  // Advertisements received per minute since the sensor was first seen
+  packetRate(address, now) {
+    const link = this.get(address)
+    const minutes = ((now || Date.now()) - link.firstSeen) / 60000
+    return link.count > 1 && minutes > 0 ? link.count / minutes : null
+  }
+
+  // Returns the current problems with the link, and whether they changed
+  check(address) {
+    const link = this.get(address)
+    const warnings = []
+
+    if (link.rssi !== null && link.rssi < this.weakSignal) {
+      warnings.push({
+        type: 'weak-signal',
+        message: `weak signal (${Math.round(link.rssi)} dBm)`,
+      })
+    } else if (link.rssi !== null && link.baselineRssi - link.rssi >= this.signalDrop) {
+      warnings.push({
+        type: 'signal-drop',
+        message: `signal dropped from ${Math.round(link.baselineRssi)}` +
+          ` to ${Math.round(link.rssi)} dBm`,
+      })
+    }
+
+    if (link.interval !== null && link.baselineInterval &&
+        link.interval > link.baselineInterval * this.slowdown) {
+      warnings.push({
+        type: 'slow',
+        message: `advertisements arrive every ${Math.round(link.interval / 1000)} s,` +
+          ` usually every ${Math.round(link.baselineInterval / 1000)} s`,
+      })
+    }
+
+    const types = warnings.map(w => w.type).join()
+    const changed = types !== link.warnings.map(w => w.type).join()
+    link.warnings = warnings
+
+    return { warnings, changed }
+  }
+}
+
+module.exports = LinkStats
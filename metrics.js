@@ -0,0 +1,117 @@
+const http = require('http')
+
+const escapeLabelValue = value => {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/"/g, '\\"')
+    .replace(/\n/g, '\\n')
+}
+
+const formatLabels = labels => {
+  const keys = Object.keys(labels || {})
+  if (keys.length === 0) {
+    return ''
+  }
+
+  return '{' + keys.map(k => `${k}="${escapeLabelValue(labels[k])}"`).join(',') + '}'
+}
+
+class Metrics {
+  constructor(prefix) {
+    this.prefix = prefix || ''
+    this.metrics = new Map()
+    this.server = null
+  }
+
+  gauge(name, help) {
+    return this.define(name, 'gauge', help)
+  }
+
+  counter(name, help) {
+    return this.define(name, 'counter', help)
+  }
+
+  define(name, type, help) {
+    const fullName = this.prefix + name
+    if (!this.metrics.has(fullName)) {
+      this.metrics.set(fullName, { name: fullName, type, help, values: new Map() })
+    }
+    return fullName
+  }
+
+  set(name, labels, value) {
+    const metric = this.metrics.get(this.prefix + name)
+    if (!metric) {
+      throw new Error('Unknown metric: ' + name)
+    }
+
+    const key = formatLabels(labels)
+    metric.values.set(key, value)
+  }
+
+  inc(name, labels, amount) {
+    const metric = this.metrics.get(this.prefix + name)
+    if (!metric) {
+      throw new Error('Unknown metric: ' + name)
+    }
+
+    const key = formatLabels(labels)
+    metric.values.set(key, (metric.values.get(key) || 0) + (amount === undefined ? 1 : amount))
+  }
+
+  remove(name, labels) {
+    const metric = this.metrics.get(this.prefix + name)
+    if (metric) {
+      metric.values.delete(formatLabels(labels))
+    }
+  }
+
+  render() {
+    const lines = []
+
+    for (const metric of this.metrics.values()) {
+      lines.push(`# HELP ${metric.name} ${metric.help}`)
+      lines.push(`# TYPE ${metric.name} ${metric.type}`)
+
+      if (metric.type === 'counter' && metric.values.size === 0) {
+        lines.push(`${metric.name} 0`)
+      }
+
+      for (const [labels, value] of metric.values) {
+        lines.push(`${metric.name}${labels} ${value}`)
+      }
+    }
+
+    return lines.join('\n') + '\n'
+  }
+
+  // The callback is called once the server is listening or could not be
+  // started, errors after that go to the error handler
+  listen(port, host, callback, errorHandler) {
+    this.server = http.createServer((req, res) => {
+      if (req.method === 'GET' && req.url.split('?')[0] === '/metrics') {
+        res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' })
+        res.end(this.render())
+      } else {
+        res.writeHead(404, { 'Content-Type': 'text/plain' })
+        res.end('Not found\n')
+      }
+    })
+
+    this.server.once('error', callback)
+    this.server.listen(port, host, () => {
+      this.server.removeListener('error', callback)
+      this.server.on('error', errorHandler || (() => {}))
+      callback(null)
+    })
+  }
+
+  close() {
+    if (this.server) {
+      this.server.close()
+      this.server = null
+    }
+  }
+}
+
+module.exports = Metrics
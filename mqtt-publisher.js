@@ -0,0 +1,178 @@
+const ENTITY_TYPES = {
+  'battery-level': { deviceClass: 'battery', unit: '%', name: 'battery' },
+  'temperature': { deviceClass: 'temperature', unit: '°C', name: 'temperature' },
+  'maximum-temperature': { deviceClass: 'temperature', unit: '°C', name: 'maximum temperature' },
+  'minimum-temperature': { deviceClass: 'temperature', unit: '°C', name: 'minimum temperature' },
+  'humidity': { deviceClass: 'humidity', unit: '%', name: 'humidity' },
+  'maximum-humidity': { deviceClass: 'humidity', unit: '%', name: 'maximum humidity' },
+  'minimum-humidity': { deviceClass: 'humidity', unit: '%', name: 'minimum humidity' },
+}
+
+class MqttPublisher {
+  constructor(options, log) {
+    this.url = options.url || 'mqtt://localhost'
+    this.baseTopic = options.baseTopic || 'thermsmart'
+    this.discoveryPrefix = options.discoveryPrefix || 'homeassistant'
+    this.discovery = options.discovery !== false
+    this.retain = options.retain !== false
+    this.log = log || (() => {})
+    this.connect = options.connect || require('mqtt').connect
+    this.clientOptions = {
+      username: options.username,
+      password: options.password,
+      clientId: options.clientId,
+      reconnectPeriod: options.reconnectPeriod || 5000,
+      // Readings are sent again with the next advertisement, so there is no
+      // point in queueing them while the broker is unreachable
+      queueQoSZero: false,
+    }
+    this.entities = new Map()
+    this.client = null
+  }
+
+  get availabilityTopic() {
+    return `${this.baseTopic}/status`
+  }
+
+  start() {
+    this.client = this.connect(this.url, Object.assign({}, this.clientOptions, {
+      will: {
+        topic: this.availabilityTopic,
+        payload: 'offline',
+        qos: 1,
+        retain: true,
+      },
+    }))
+
+    this.client.on('connect', () => {
+      this.log(`Connected to MQTT broker at ${this.url}`)
+      this.client.publish(this.availabilityTopic, 'online', { qos: 1, retain: true })
+
+      if (this.discovery) {
+        // Home Assistant announces restarts on this topic, at which point the
+        // discovery messages need to be sent again
+        this.client.subscribe(`${this.discoveryPrefix}/status`)
+
+        for (const entity of this.entities.values()) {
+          this.publishDiscovery(entity)
+        }
+      }
+    })
+
+    this.client.on('message', (topic, message) => {
+      if (topic === `${this.discoveryPrefix}/status` && message.toString() === 'online') {
+        for (const entity of this.entities.values()) {
+          this.publishDiscovery(entity)
+        }
+      }
+    })
+
+    this.client.on('reconnect', () => {
+      this.log(`Reconnecting to MQTT broker at ${this.url}`)
+    })
+
+    this.client.on('offline', () => {
+      this.log('MQTT broker is offline')
+    })
+
+    this.client.on('error', error => {
+      this.log('An MQTT error occurred:', error.message)
+    })
+  }
+
+  stop() {
+    if (!this.client) {
+      return Promise.resolve()
+    }
+
+    return new Promise(resolve => {
+      // The publish would wait for a reconnect, the broker sends the will instead
+      if (!this.client.connected) {
+        this.client.end(true, resolve)
+        return
+      }
+
+      this.client.publish(this.availabilityTopic, 'offline', { qos: 1, retain: true }, () => {
+        this.client.end(false, resolve)
+      })
+    })
+  }
+
+  publishReading(address, reading) {
+    if (!this.client || !ENTITY_TYPES[reading.type]) {
+      return
+    }
+
+    const entity = this.getEntity(address, reading)
+    if (!this.entities.has(entity.id)) {
+      this.entities.set(entity.id, entity)
+      if (this.discovery && this.client.connected) {
+        this.publishDiscovery(entity)
+      }
+    }
+
+    // Sensors repeat their readings in every advertisement, only changes are
+    // published. While disconnected nothing is published, and the last state
+    // is kept so that the first reading after reconnecting is sent.
+    const state = this.entities.get(entity.id)
+    if (!this.client.connected) {
+      return
+    }
+
+    if (reading.ok && reading.value !== state.value) {
+      this.client.publish(entity.stateTopic, String(reading.value), { retain: this.retain })
+      state.value = reading.value
+    }
+    if (reading.status !== state.status) {
+      this.client.publish(entity.stateTopic + '/status', reading.status, { retain: this.retain })
+      state.status = reading.status
+    }
+  }
+
+  getEntity(address, reading) {
+    const deviceId = address.replace(/:/g, '')
+    const parts = [deviceId]
+    if (reading.sensor) {
+      parts.push(reading.sensor)
+    }
+    parts.push(reading.type)
+
+    return {
+      id: parts.join('_'),
+      deviceId,
+      address,
+      sensor: reading.sensor,
+      type: reading.type,
+      stateTopic: `${this.baseTopic}/${parts.join('/')}`,
+    }
+  }
+
+  publishDiscovery(entity) {
+    const entityType = ENTITY_TYPES[entity.type]
+    const name = ['ThermSmart', entity.sensor, entityType.name].filter(p => p).join(' ')
+
+    const config = {
+      name,
+      unique_id: `thermsmart_${entity.id}`,
+      state_topic: entity.stateTopic,
+      availability_topic: this.availabilityTopic,
+      device_class: entityType.deviceClass,
+      unit_of_measurement: entityType.unit,
+      state_class: 'measurement',
+      device: {
+        identifiers: [`thermsmart_${entity.deviceId}`],
+        connections: [['mac', entity.address]],
+        name: `ThermSmart ${entity.address}`,
+        manufacturer: 'ThermSmart',
+      },
+    }
+
+    this.client.publish(
+      `${this.discoveryPrefix}/sensor/thermsmart_${entity.id}/config`,
+      JSON.stringify(config),
+      { qos: 1, retain: true }
+    )
+  }
+}
+
+module.exports = MqttPublisher
@@ -0,0 +1,45 @@
+const COMPANY_ID = 0x4842
+
+const SERVICE_UUID = 'fff0'
+
+const WRITE_CHARACTERISTIC_UUID = 'fff3'
+const NOTIFY_CHARACTERISTIC_UUID = 'fff4'
+
+// Standard GATT services that describe the device
+const GENERIC_ACCESS_SERVICE_UUID = '1800'
+const DEVICE_INFORMATION_SERVICE_UUID = '180a'
+
+const DEVICE_INFORMATION_CHARACTERISTICS = {
+  '2a00': 'name',
+  '2a29': 'manufacturer',
+  '2a24': 'model',
+  '2a25': 'serialNumber',
+  '2a27': 'hardwareRevision',
+  '2a26': 'firmwareRevision',
+  '2a28': 'softwareRevision',
+}
+
+const bcdByteToInt = b => {
+  return (((b & 0xf0) >> 4) * 10) + (b & 0xf)
+}
+
+const intToBCDByte = i => {
+  return ((i / 10) << 4) + (i % 10)
+}
+
+// Addresses are compared without case and separators, since they are written
+// both as aa:bb:cc:dd:ee:ff and as aabbccddeeff
+const normalizeAddress = address => address.toLowerCase().replace(/:/g, '')
+
+module.exports = {
+  COMPANY_ID,
+  SERVICE_UUID,
+  WRITE_CHARACTERISTIC_UUID,
+  NOTIFY_CHARACTERISTIC_UUID,
+  GENERIC_ACCESS_SERVICE_UUID,
+  DEVICE_INFORMATION_SERVICE_UUID,
+  DEVICE_INFORMATION_CHARACTERISTICS,
+  bcdByteToInt,
+  intToBCDByte,
+  normalizeAddress,
+}
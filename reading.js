@@ -1,58 +1,119 @@
-const TOO_HIGH = 224
-const TOO_LOW = 225
-const ERROR_VALUE = 254
-const INVALID_VALUE = -999
+const OK = 'ok'
+const TOO_HIGH = 'too-high'
+const TOO_LOW = 'too-low'
+const SENSOR_ERROR = 'sensor-error'
+const NO_SENSOR = 'no-sensor'
+const OUT_OF_RANGE = 'out-of-range'
 
-const getError = (b) => {
+const CELSIUS = 'celsius'
+const FAHRENHEIT = 'fahrenheit'
+
+const TEMPERATURE_TYPES = [
+  'temperature',
+  'maximum-temperature',
+  'minimum-temperature',
+  'dew-point',
+  'heat-index',
+]
+const HUMIDITY_TYPES = ['humidity', 'maximum-humidity', 'minimum-humidity']
+const DERIVED_TYPES = ['dew-point', 'absolute-humidity', 'heat-index']
+
+const STATUS_DESCRIPTIONS = {
+  [OK]: 'OK',
+  [TOO_HIGH]: 'value too high',
+  [TOO_LOW]: 'value too low',
+  [SENSOR_ERROR]: 'sensor error',
+  [NO_SENSOR]: 'no sensor',
+  [OUT_OF_RANGE]: 'sensor out of range',
+}
+
+const getStatus = (b) => {
   const errorValue = b & 0xf
 
   if ((b & 0xf0) === 0xf0) {
     if (errorValue === 0xf) {
-      // Null value / no sensor
-      return INVALID_VALUE
+      return NO_SENSOR
     } else if (errorValue === 0xe) {
-      // Sensor error
-      return ERROR_VALUE
+      return SENSOR_ERROR
     } else if (errorValue >= 0 && errorValue <= 9) {
       // Negative value, proceed
-      return 0
+      return OK
     }
   } else if ((b & 0xf0) === 0xe0) {
     if (errorValue === 0) {
-      // Value too high
       return TOO_HIGH
     } else if (errorValue === 1) {
-      // Value too low
       return TOO_LOW
     } else {
-      // Sensor out of range
-      return INVALID_VALUE
+      return OUT_OF_RANGE
     }
   }
 
-  return 0
+  return OK
 }
 
 const parseTemperature = (data, position) => {
-  const error = getError(data[position + 1])
-  if (error !== 0) {
-    return error
+  const status = getStatus(data[position + 1])
+  if (status !== OK) {
+    return { status, value: null }
   }
 
-  return Math.round((data.readUInt16LE(position) - 0x3000) / 2) / 10
+  return {
+    status,
+    value: Math.round((data.readUInt16LE(position) - 0x3000) / 2) / 10,
+  }
 }
 
 const parseHumidity = (data, position) => {
-  const error = getError(data[position])
-  if (error !== 0) {
-    return error
+  const status = getStatus(data[position])
+  if (status !== OK) {
+    return { status, value: null }
   }
 
-  return parseInt(data.toString('hex', position, position + 1))
+  return {
+    status,
+    value: parseInt(data.toString('hex', position, position + 1)),
+  }
+}
+
+const round = value => Math.round(value * 10) / 10
+
+const dewPoint = (t, rh) => {
+  // Magnus formula
+  const a = 17.62
+  const b = 243.12
+  const gamma = Math.log(rh / 100) + a * t / (b + t)
+  return b * gamma / (a - gamma)
+}
+
+const absoluteHumidity = (t, rh) => {
+  // Grams of water vapour per cubic metre of air
+  return 6.112 * Math.exp(17.67 * t / (t + 243.5)) * rh * 2.1674 / (273.15 + t)
+}
+
+const heatIndex = (t, rh) => {
+  // NOAA's heat index equation, which works in Fahrenheit
+  const f = t * 9 / 5 + 32
+  let hi = 0.5 * (f + 61 + (f - 68) * 1.2 + rh * 0.094)
+
+  if ((hi + f) / 2 >= 80) {
+    hi = -42.379 + 2.04901523 * f + 10.14333127 * rh -
+      0.22475541 * f * rh - 0.00683783 * f * f -
+      0.05481717 * rh * rh + 0.00122874 * f * f * rh +
+      0.00085282 * f * rh * rh - 0.00000199 * f * f * rh * rh
+
+    if (rh < 13 && f >= 80 && f <= 112) {
+      hi -= ((13 - rh) / 4) * Math.sqrt((17 - Math.abs(f - 95)) / 17)
+    } else if (rh > 85 && f >= 80 && f <= 87) {
+      hi += ((rh - 85) / 10) * ((87 - f) / 5)
+    }
+  }
+
+  return (hi - 32) * 5 / 9
 }
 
 class Reading {
-  static parseReadings(data) {
+  static parseReadings(data, errorHandler) {
     const readings = []
 
     readings.push(new Reading(
@@ -61,18 +122,31 @@ class Reading {
       data[0]
     ))
 
+    const reportError = message => {
+      if (errorHandler) {
+        errorHandler(new Error(message + ': ' + data.toString('hex')), data)
+      } else {
+        console.error(message + ':', data)
+      }
+    }
+
+    if (data.length < 8) {
+      reportError('Truncated data')
+      return readings
+    }
+
     const typeByte = data[1]
     const dataType = (typeByte & 0xf0) >> 4
     const sensorType = typeByte & 0x7
 
     if (sensorType !== 1 && sensorType !== 3 && sensorType !== 4 && sensorType !== 7) {
-      console.error('Invalid sensor type in data:', data)
+      reportError('Invalid sensor type in data')
       return readings
     }
 
-    const addReading = (type, value) => {
+    const addReading = (type, { value, status }) => {
       const sensor = dataType === 1 ? 'indoor' : dataType === 2 ? 'outdoor' : 'unknown'
-      readings.push(new Reading(sensor, type, value))
+      readings.push(new Reading(sensor, type, value, status))
     }
 
     addReading('temperature', parseTemperature(data, 2))
@@ -88,10 +162,103 @@ class Reading {
     return readings
   }
 
-  constructor(sensor, type, value) {
+  static derive(temperature, humidity) {
+    if (!temperature || !humidity || !temperature.ok || !humidity.ok ||
+        temperature.type !== 'temperature' || humidity.type !== 'humidity' ||
+        temperature.sensor !== humidity.sensor || humidity.value <= 0) {
+      return []
+    }
+
+    const t = temperature.toUnit(CELSIUS).value
+    const rh = humidity.value
+    const sensor = temperature.sensor
+
+    return [
+      new Reading(sensor, 'dew-point', round(dewPoint(t, rh))),
+      new Reading(sensor, 'absolute-humidity', round(absoluteHumidity(t, rh))),
+      new Reading(sensor, 'heat-index', round(heatIndex(t, rh))),
+    ]
+  }
+
+  static parseUnit(unit) {
+    switch ((unit || '').toLowerCase()) {
+    case 'c':
+    case 'celsius':
+      return CELSIUS
+
+    case 'f':
+    case 'fahrenheit':
+      return FAHRENHEIT
+    }
+
+    return null
+  }
+
+  constructor(sensor, type, value, status = OK, unit = CELSIUS) {
     this.sensor = sensor
     this.type = type
     this.value = value
+    this.status = status
+    this.unit = unit
+    this.adapter = null
+    this.rssi = null
+    this.interval = null
+  }
+
+  get isTemperature() {
+    return TEMPERATURE_TYPES.indexOf(this.type) !== -1
+  }
+
+  get isHumidity() {
+    return HUMIDITY_TYPES.indexOf(this.type) !== -1
+  }
+
+  get isDerived() {
+    return DERIVED_TYPES.indexOf(this.type) !== -1
+  }
+
+  withValue(value) {
+    return this._copy(value, this.unit)
+  }
+
+  // Tags the reading with the adapter and signal strength it was received
+  // with, and the time since the previous advertisement from the sensor
+  withSource(adapter, rssi, interval) {
+    const reading = this._copy(this.value, this.unit)
+    reading.adapter = adapter
+    reading.rssi = rssi
+    reading.interval = interval !== undefined ? interval : null
+    return reading
+  }
+
+  toUnit(unit) {
+    if (!this.isTemperature || unit === this.unit) {
+      return this
+    }
+
+    let value = this.value
+    if (this.ok) {
+      value = unit === FAHRENHEIT ? value * 9 / 5 + 32 : (value - 32) * 5 / 9
+      value = round(value)
+    }
+
+    return this._copy(value, unit)
+  }
+
+  _copy(value, unit) {
+    const reading = new Reading(this.sensor, this.type, value, this.status, unit)
+    reading.adapter = this.adapter
+    reading.rssi = this.rssi
+    reading.interval = this.interval
+    return reading
+  }
+
+  get ok() {
+    return this.status === OK
+  }
+
+  get statusDescription() {
+    return STATUS_DESCRIPTIONS[this.status] || this.status
   }
 
   get symbol() {
@@ -99,7 +266,12 @@ class Reading {
     case 'temperature':
     case 'maximum-temperature':
     case 'minimum-temperature':
-      return '°C'
+    case 'dew-point':
+    case 'heat-index':
+      return this.unit === FAHRENHEIT ? '°F' : '°C'
+
+    case 'absolute-humidity':
+      return 'g/m³'
 
     case 'battery-level':
     case 'humidity':
@@ -112,4 +284,13 @@ class Reading {
   }
 }
 
+Reading.OK = OK
+Reading.TOO_HIGH = TOO_HIGH
+Reading.TOO_LOW = TOO_LOW
+Reading.SENSOR_ERROR = SENSOR_ERROR
+Reading.NO_SENSOR = NO_SENSOR
+Reading.OUT_OF_RANGE = OUT_OF_RANGE
+Reading.CELSIUS = CELSIUS
+Reading.FAHRENHEIT = FAHRENHEIT
+
 module.exports = Reading
@@ -0,0 +1,130 @@
+const EventEmitter = require('events')
+
+const MODES = ['continuous', 'duty-cycle', 'adaptive']
+
+// Reports closer together than this are the same advertisement received twice
+const MIN_INTERVAL = 1000
+
+const key = (address, sensor) => `${address.toLowerCase()}/${sensor}`
+
+class ScanScheduler extends EventEmitter {
+  constructor(options) {
+    super()
+    options = options || {}
+
+    const log = options.log || (() => {})
+
+    this.mode = options.mode || 'duty-cycle'
+    this.scanTime = options.scanTime || 10 * 1000
+    this.idleTime = options.idleTime !== undefined ? options.idleTime : 2 * 60 * 1000
+    this.margin = options.margin !== undefined ? options.margin : 2000
+    this.restartDelay = options.restartDelay || 5000
+
+    // An invalid mode is logged rather than thrown, so that a typo in the
+    // config does not stop the platform from starting
+    if (MODES.indexOf(this.mode) === -1) {
+      log(`Invalid scan mode "${this.mode}", using duty-cycle instead`)
+      this.mode = 'duty-cycle'
+    }
+
+    this.sensors = new Map()
+    this.expected = []
+    this.cycleStart = null
+  }
+
+  // How long to scan for in each cycle, or null to scan until stopped
+  get duration() {
+    return this.mode === 'continuous' ? null : this.scanTime
+  }
+
+  startCycle(expected, now) {
+    this.cycleStart = now || Date.now()
+    this.expected = expected.map(s => key(s.address, s.sensor))
+  }
+
+  // Returns true when the current cycle can be stopped early
+  record(address, sensor, now) {
+    now = now || Date.now()
+
+    const k = key(address, sensor)
+    let stats = this.sensors.get(k)
+    if (!stats) {
+      stats = { address, sensor, lastSeen: null, interval: null, reported: null }
+      this.sensors.set(k, stats)
+    }
+
+    const gap = stats.lastSeen !== null ? now - stats.lastSeen : null
+    if (gap !== null && gap < MIN_INTERVAL) {
+      return false
+    }
+
+    // Only gaps within one cycle are the actual advertising interval, the
+    // others also include the time spent idling
+    if (gap !== null && stats.lastSeen >= this.cycleStart) {
+      stats.interval = stats.interval === null
+        ? gap
+        : Math.round(stats.interval * 0.7 + gap * 0.3)
+
+      if (stats.reported === null ||
+          Math.abs(stats.interval - stats.reported) / stats.reported > 0.25) {
+        stats.reported = stats.interval
+        this.emit('interval', address, sensor, stats.interval)
+      }
+    }
+
+    stats.lastSeen = now
+
+    return this.mode === 'adaptive' && this.isCycleComplete()
+  }
+
+  isCycleComplete() {
+    if (this.expected.length === 0) {
+      return false
+    }
+
+    return this.expected.every(k => {
+      const stats = this.sensors.get(k)
+      return stats && stats.interval !== null && stats.lastSeen >= this.cycleStart
+    })
+  }
+
+  getInterval(address, sensor) {
+    const stats = this.sensors.get(key(address, sensor))
+    return stats ? stats.interval : null
+  }
+
+  // Milliseconds to wait before the next cycle is started
+  nextDelay(now) {
+    now = now || Date.now()
+
+    if (this.mode === 'continuous') {
+      return this.restartDelay
+    } else if (this.mode === 'duty-cycle') {
+      return this.idleTime
+    }
+
+    // Resume just before the first advertisement that is expected after the
+    // idle time
+    let next = null
+    for (const k of this.expected) {
+      const stats = this.sensors.get(k)
+      if (!stats || stats.interval === null) {
+        return this.idleTime
+      }
+
+      const periods = Math.ceil((now + this.idleTime - stats.lastSeen) / stats.interval)
+      const expected = stats.lastSeen + Math.max(periods, 1) * stats.interval
+      next = next === null ? expected : Math.min(next, expected)
+    }
+
+    if (next === null) {
+      return this.idleTime
+    }
+
+    return Math.max(0, next - this.margin - now)
+  }
+}
+
+ScanScheduler.MODES = MODES
+
+module.exports = ScanScheduler
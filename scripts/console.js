@@ -0,0 +1,307 @@
+#!/usr/bin/env node
+
+const colors = require('colors/safe')
+const commandLineArgs = require('command-line-args')
+const fs = require('fs')
+const readline = require('readline')
+const { TimeoutError } = require('../errors')
+const { bcdByteToInt } = require('../protocol')
+const ThermSmart = require('../therm-smart')
+
+const {
+  address,
+  connectTimeout,
+  force,
+  help,
+  timeout,
+  transcript,
+} = commandLineArgs([
+  { name: 'address', type: String, defaultOption: true },
+  { name: 'connectTimeout', type: Number, defaultValue: 15000 },
+  { name: 'force', alias: 'f', type: Boolean },
+  { name: 'help', alias: 'h', type: Boolean },
+  { name: 'timeout', alias: 't', type: Number, defaultValue: 10000 },
+  { name: 'transcript', alias: 'o', type: String },
+])
+
+if (help) {
+  console.log('usage: console.js [options] [<address>]')
+  console.log('')
+  console.log('Connects to a sensor and sends raw commands to it, given as hex bytes')
+  console.log('(e.g. "d1 01"). Every notification from the sensor is printed.')
+  console.log('')
+  console.log('Options:')
+  console.log('--connectTimeout: Connection timeout, in milliseconds (default: 15000)')
+  console.log('--force: Send unknown commands without asking for confirmation')
+  console.log('--timeout: Scan timeout, in milliseconds (default: 10000)')
+  console.log(
+    '--transcript: File to save the session to ' +
+    '(default: thermsmart-<address>-<time>.log)'
+  )
+  process.exit()
+}
+
+// Commands whose effect is known, everything else needs confirmation since
+// it could change settings or clear data on the sensor. Commands only match
+// with exactly the given length, and arguments must be BCD bytes.
+const KNOWN_COMMANDS = [
+  { command: 'd101', length: 2, usage: 'd1 01', description: 'read time' },
+  { command: 'd100', length: 8, usage: 'd1 00 YY MM DD hh mm ss', description: 'set time' },
+  { command: 'd5', length: 1, usage: 'd5', description: 'identify' },
+]
+
+const rl = readline.createInterface({
+  input: process.stdin,
+  output: process.stdout,
+})
+
+// Input is read through these handlers from the start, so that lines that
+// arrive before the sensor is connected, e.g. when commands are piped in, are
+// kept until they are needed and an early end of the input is not missed
+const pendingLines = []
+let lineWaiter = null
+let inputClosed = false
+
+rl.on('line', line => {
+  if (lineWaiter) {
+    const resolve = lineWaiter
+    lineWaiter = null
+    resolve(line)
+  } else {
+    pendingLines.push(line)
+  }
+})
+
+rl.on('close', () => {
+  inputClosed = true
+  if (lineWaiter) {
+    const resolve = lineWaiter
+    lineWaiter = null
+    resolve(null)
+  }
+})
+
+// Resolves to the next line of input, or null once the input has ended
+const nextLine = () => {
+  if (pendingLines.length > 0) {
+    return Promise.resolve(pendingLines.shift())
+  } else if (inputClosed) {
+    return Promise.resolve(null)
+  }
+  return new Promise(resolve => {
+    lineWaiter = resolve
+  })
+}
+
+let transcriptStream = null
+
+const pad = (n, width) => {
+  let s = String(n)
+  while (s.length < (width || 2)) {
+    s = '0' + s
+  }
+  return s
+}
+
+const timestamp = () => {
+  const date = new Date()
+  return `${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}` +
+    `.${pad(date.getMilliseconds(), 3)}`
+}
+
+// Lines are printed in color, and written to the transcript without it
+const log = (line, color) => {
+  const text = `[${timestamp()}] ${line}`
+  console.log(color ? color(text) : text)
+  if (transcriptStream) {
+    transcriptStream.write(text + '\n')
+  }
+}
+
+const formatHex = data => Array.from(data).map(b => pad(b.toString(16))).join(' ')
+
+const isBCD = b => (b >> 4) <= 9 && (b & 0xf) <= 9
+
+const formatBCD = data => Array.from(data).map(b => {
+  return isBCD(b) ? pad(bcdByteToInt(b)) : '--'
+}).join(' ')
+
+const findKnownCommand = data => {
+  const hex = data.toString('hex')
+
+  return KNOWN_COMMANDS.find(c => {
+    return data.length === c.length && hex.indexOf(c.command) === 0 &&
+      Array.from(data.slice(c.command.length / 2)).every(isBCD)
+  })
+}
+
+const parseHex = input => {
+  const hex = input.replace(/0x/gi, '').replace(/[\s,:]/g, '')
+  if (hex.length === 0 || hex.length % 2 !== 0 || /[^0-9a-f]/i.test(hex)) {
+    return null
+  }
+  return Buffer.from(hex, 'hex')
+}
+
+const question = query => {
+  process.stdout.write(query)
+  return nextLine().then(line => line === null ? '' : line)
+}
+
+const selectDevice = () => {
+  if (address) {
+    console.log(colors.gray(`Looking for ${address}...`))
+    return ThermSmart.find(address, timeout)
+  }
+
+  console.log(colors.gray(`Scanning for ${Math.round(timeout / 1000)} seconds...`))
+
+  const scanTimeout = setTimeout(() => {
+    ThermSmart.stopScan()
+  }, timeout)
+
+  return ThermSmart.scan()
+    .then(devices => {
+      clearTimeout(scanTimeout)
+
+      if (devices.length === 0) {
+        throw new Error('No sensors found')
+      } else if (devices.length === 1) {
+        return devices[0]
+      }
+
+      devices.forEach((device, i) => {
+        console.log(`${colors.green(i + 1)}: ${device.localName} (${device.address})`)
+      })
+
+      return question(colors.green(`Select a device (1-${devices.length}): `))
+        .then(answer => {
+          const device = devices[parseInt(answer, 10) - 1]
+          if (!device) {
+            throw new Error('Invalid number: ' + answer)
+          }
+          return device
+        })
+    })
+}
+
+const printHelp = () => {
+  console.log('Enter commands as hex bytes, e.g. "d1 01" to read the time')
+  console.log('Known commands:')
+  for (const command of KNOWN_COMMANDS) {
+    console.log(`  ${command.usage}: ${command.description}`)
+  }
+  console.log('Other input: help, quit')
+}
+
+const send = (device, data) => {
+  const known = findKnownCommand(data)
+
+  const confirm = known || force
+    ? Promise.resolve('y')
+    : question(colors.yellow(`${formatHex(data)} is not a known command, send it anyway? (y/N) `))
+
+  return confirm.then(answer => {
+    if (answer.trim().toLowerCase() !== 'y') {
+      log(`not sent: ${formatHex(data)}`, colors.gray)
+      return
+    }
+
+    // Responses are printed by the notification handler
+    return device.write(data, null).catch(error => {
+      log(`error: ${error.message}`, colors.red)
+    })
+  })
+}
+
+const prompt = device => {
+  rl.setPrompt('> ')
+
+  const next = () => {
+    rl.prompt()
+
+    return nextLine().then(line => {
+      if (line === null) {
+        return
+      }
+
+      const input = line.trim()
+
+      if (input === 'quit' || input === 'exit') {
+        rl.close()
+        return
+      } else if (input === 'help') {
+        printHelp()
+        return next()
+      } else if (input === '') {
+        return next()
+      }
+
+      const data = parseHex(input)
+      if (!data) {
+        console.log(colors.red('Invalid input, expected hex bytes:'), input)
+        return next()
+      }
+
+      return send(device, data).then(next)
+    })
+  }
+
+  return next()
+}
+
+let device = null
+
+selectDevice()
+  .then(selected => {
+    device = selected
+
+    const file = transcript ||
+      `thermsmart-${device.address.replace(/:/g, '')}-${Date.now()}.log`
+    transcriptStream = fs.createWriteStream(file, { flags: 'a' })
+    console.log(colors.gray(`Saving the session to ${file}`))
+    console.log(colors.gray(`Connecting to ${device.localName} (${device.address})...`))
+
+    return new Promise((resolve, reject) => {
+      const connectTimer = setTimeout(() => {
+        reject(new TimeoutError(`Timeout while connecting to ${device.address}`))
+      }, connectTimeout)
+
+      device.connect().then(() => {
+        clearTimeout(connectTimer)
+        resolve()
+      }, error => {
+        clearTimeout(connectTimer)
+        reject(error)
+      })
+    })
+  })
+  .then(() => {
+    log(`connected to ${device.address}`, colors.gray)
+
+    device.notifyCharacteristic.on('data', data => {
+      log(`< ${formatHex(data)}    bcd: ${formatBCD(data)}`, colors.green)
+    })
+    device.on('write', (data, error) => {
+      log(`> ${formatHex(data)}${error ? ' (failed)' : ''}`, colors.cyan)
+    })
+    device.peripheral.once('disconnect', () => {
+      log('disconnected', colors.red)
+      rl.close()
+    })
+
+    printHelp()
+    return prompt(device)
+  })
+  .then(() => device.disconnect())
+  .then(() => {
+    log('session ended', colors.gray)
+    transcriptStream.end(() => process.exit())
+  })
+  .catch(error => {
+    console.error(colors.red('An error occurred:'), error.message)
+    if (transcriptStream) {
+      transcriptStream.end()
+    }
+    process.exit(1)
+  })
@@ -0,0 +1,200 @@
+#!/usr/bin/env node
+
+const colors = require('colors/safe')
+const commandLineArgs = require('command-line-args')
+const LinkStats = require('../link-stats')
+const { normalizeAddress } = require('../protocol')
+const ThermSmart = require('../therm-smart')
+
+const {
+  addresses,
+  help,
+  lowBattery,
+  time,
+} = commandLineArgs([
+  { name: 'addresses', type: String, multiple: true, defaultOption: true },
+  { name: 'help', alias: 'h', type: Boolean },
+  { name: 'lowBattery', type: Number, defaultValue: 10 },
+  { name: 'time', alias: 't', type: Number, defaultValue: 30000 },
+])
+
+if (help) {
+  console.log('usage: doctor.js [options] [<addresses>]')
+  console.log('')
+  console.log('Checks the Bluetooth adapter and the signal of every visible sensor')
+  console.log('')
+  console.log('Options:')
+  console.log('--lowBattery: Battery level below which a battery is low (default: 10)')
+  console.log('--time: How long to listen for sensors, in milliseconds (default: 30000)')
+  process.exit()
+}
+
+const normAddresses = addresses && addresses.map(normalizeAddress)
+
+const linkStats = new LinkStats()
+const faults = new Map()
+const recommendations = []
+
+const formatRssi = rssi => rssi === null ? '?' : Math.round(rssi) + ' dBm'
+
+const readingHandler = (reading, peripheral) => {
+  const address = peripheral.address
+
+  if (reading.type === 'battery-level') {
+    linkStats.record(address, reading)
+  } else if (!reading.ok && reading.sensor) {
+    const sensorFaults = faults.get(address) || new Map()
+    sensorFaults.set(`${reading.sensor} ${reading.type}`, reading.statusDescription)
+    faults.set(address, sensorFaults)
+  }
+}
+
+const parseErrorHandler = (error, peripheral) => {
+  if (peripheral.address) {
+    linkStats.recordParseError(peripheral.address, error)
+  }
+}
+
+const printSensor = link => {
+  const address = link.address
+  const rate = linkStats.packetRate(address)
+  const { warnings } = linkStats.check(address)
+  const low = link.batteryLevel !== null && link.batteryLevel < lowBattery
+
+  console.log(colors.bold(address))
+  console.log(
+    '  Signal:     ',
+    link.rssi < linkStats.weakSignal ? colors.red(formatRssi(link.rssi)) : formatRssi(link.rssi),
+    colors.gray(`(min ${formatRssi(link.minRssi)}, max ${formatRssi(link.maxRssi)})`)
+  )
+  console.log(
+    '  Packet rate:',
+    rate !== null ? rate.toFixed(1) + ' per minute' : colors.yellow('only one advertisement'),
+    colors.gray(`(${link.count} advertisements)`)
+  )
+  console.log(
+    '  Battery:    ',
+    low ? colors.red(link.batteryLevel + '% LOW') : link.batteryLevel + '%'
+  )
+
+  if (link.adapters.size > 0) {
+    console.log('  Adapters:   ', Array.from(link.adapters).join(', '))
+  }
+
+  for (const warning of warnings) {
+    console.log('  ' + colors.yellow('Warning: ' + warning.message))
+  }
+
+  const sensorFaults = faults.get(address)
+  if (sensorFaults) {
+    for (const [name, description] of sensorFaults) {
+      console.log('  ' + colors.red(`Fault: ${name} (${description})`))
+      recommendations.push(
+        `The ${name} of sensor ${address} reports "${description}", ` +
+        'check the probe and its cable'
+      )
+    }
+  }
+
+  for (const error of link.parseErrors) {
+    console.log(
+      '  ' + colors.red('Parse error:'),
+      error.message,
+      colors.gray(new Date(error.time).toLocaleTimeString())
+    )
+  }
+
+  if (warnings.some(w => w.type === 'weak-signal')) {
+    recommendations.push(
+      `Sensor ${address} has a weak signal, move it or the adapter closer, ` +
+      'or add another adapter near it'
+    )
+  }
+  if (rate === null) {
+    recommendations.push(
+      `Only one advertisement was received from sensor ${address}, ` +
+      'it may be at the edge of the range'
+    )
+  }
+  if (low) {
+    recommendations.push(`Replace the battery of sensor ${address}`)
+  }
+  if (link.parseErrors.length > 0) {
+    recommendations.push(
+      `Sensor ${address} sent advertisements that could not be parsed, ` +
+      'capture them with listen.js --capture and report an issue'
+    )
+  }
+
+  console.log('')
+}
+
+const printSummary = () => {
+  const links = Array.from(linkStats.links.values())
+
+  for (const address of addresses || []) {
+    const normAddress = normalizeAddress(address)
+    if (!links.some(l => normalizeAddress(l.address) === normAddress)) {
+      recommendations.push(
+        `Sensor ${address} was not seen, check its battery and that it is within range`
+      )
+    }
+  }
+
+  if (links.length === 0 && !addresses) {
+    recommendations.push(
+      'No sensors were found, check that they have batteries and are within range'
+    )
+  }
+
+  console.log(colors.bold('Summary'))
+  console.log(`  ${links.length} sensors found in ${Math.round(time / 1000)} seconds`)
+  console.log('')
+
+  if (recommendations.length === 0) {
+    console.log(colors.green('Everything looks fine'))
+    return
+  }
+
+  console.log(colors.bold('Recommendations'))
+  for (const recommendation of recommendations) {
+    console.log('  - ' + recommendation)
+  }
+}
+
+console.log('Checking the Bluetooth adapter...')
+
+ThermSmart.powerOn()
+  .then(() => {
+    console.log(colors.green('Adapter is powered on'))
+    console.log(`Listening for sensors for ${Math.round(time / 1000)} seconds...`)
+    console.log('')
+
+    setTimeout(() => {
+      ThermSmart.stopScan()
+    }, time)
+
+    return ThermSmart.scanForReadings(readingHandler, normAddresses, { parseErrorHandler })
+  }, error => {
+    console.error(colors.red('The adapter is not available:'), error.message)
+    console.error('')
+    console.error(colors.bold('Recommendations'))
+    console.error('  - Check that Bluetooth is enabled and the adapter is plugged in')
+    console.error(
+      '  - Check that node is allowed to use raw sockets ' +
+      '(sudo setcap cap_net_raw+eip $(eval readlink -f $(which node)))'
+    )
+    process.exit(1)
+  })
+  .then(() => {
+    for (const link of linkStats.links.values()) {
+      printSensor(link)
+    }
+
+    printSummary()
+    process.exit(recommendations.length > 0 ? 2 : 0)
+  })
+  .catch(error => {
+    console.error(colors.red('An error occurred:'), error)
+    process.exit(1)
+  })
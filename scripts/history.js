@@ -0,0 +1,112 @@
+#!/usr/bin/env node
+
+const colors = require('colors/safe')
+const commandLineArgs = require('command-line-args')
+const os = require('os')
+const path = require('path')
+const ReadingHistory = require('../history')
+
+const {
+  address,
+  format,
+  from,
+  help,
+  sensor,
+  storagePath,
+  to,
+  type,
+} = commandLineArgs([
+  { name: 'address', alias: 'a', type: String },
+  { name: 'format', alias: 'f', type: String, defaultValue: 'csv' },
+  { name: 'from', type: String, defaultValue: '24h' },
+  { name: 'help', alias: 'h', type: Boolean },
+  { name: 'sensor', alias: 's', type: String },
+  { name: 'storagePath', type: String, defaultValue: path.join(os.homedir(), '.homebridge') },
+  { name: 'to', type: String },
+  { name: 'type', type: String },
+])
+
+if (help) {
+  console.log('usage: history.js [options]')
+  console.log('')
+  console.log('Options:')
+  console.log('--address: Only include readings from this address')
+  console.log('--format: Output format (available formats: csv, json)')
+  console.log('--from: Start of the time range, as a date or a duration ago (e.g. 6h, 7d)')
+  console.log('--sensor: Only include readings from this sensor (indoor, outdoor)')
+  console.log('--storagePath: The homebridge storage path (default: ~/.homebridge)')
+  console.log('--to: End of the time range, as a date or a duration ago')
+  console.log('--type: Only include readings of this type (e.g. temperature)')
+  process.exit()
+}
+
+if (format !== 'csv' && format !== 'json') {
+  console.error(colors.red('Invalid format:'), format)
+  process.exit(1)
+}
+
+const DURATION_UNITS = {
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+}
+
+const parseTime = value => {
+  if (!value) {
+    return null
+  }
+
+  const match = /^(\d+)([mhd])$/.exec(value)
+  if (match) {
+    return Date.now() - parseInt(match[1]) * DURATION_UNITS[match[2]]
+  }
+
+  const time = new Date(value).getTime()
+  if (isNaN(time)) {
+    console.error(colors.red('Invalid time:'), value)
+    process.exit(1)
+  }
+  return time
+}
+
+const toCSV = records => {
+  const lines = [ReadingHistory.FIELDS.join(',')]
+
+  for (const r of records) {
+    lines.push([
+      new Date(r.timestamp).toISOString(),
+      r.address,
+      r.sensor || '',
+      r.type,
+      r.value === null ? '' : r.value,
+      r.status,
+    ].join(','))
+  }
+
+  return lines.join('\n')
+}
+
+const history = new ReadingHistory({
+  file: path.join(storagePath, 'therm-smart', 'history.jsonl'),
+})
+
+history.query({
+  from: parseTime(from),
+  to: parseTime(to),
+  address,
+  sensor,
+  type,
+})
+  .then(records => {
+    if (format === 'csv') {
+      console.log(toCSV(records))
+    } else if (format === 'json') {
+      console.log(JSON.stringify(records.map(r => {
+        return Object.assign({}, r, { timestamp: new Date(r.timestamp).toISOString() })
+      })))
+    }
+  })
+  .catch(error => {
+    console.error(colors.red('An error occurred:'), error)
+    process.exit(1)
+  })
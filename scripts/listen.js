@@ -1,24 +1,94 @@
 #!/usr/bin/env node
 
+const BatteryTracker = require('../battery')
 const colors = require('colors/safe')
 const commandLineArgs = require('command-line-args')
+const Calibration = require('../calibration')
+const fs = require('fs')
+const { normalizeAddress } = require('../protocol')
+const Reading = require('../reading')
 const ThermSmart = require('../therm-smart')
+const { ReplayTransport } = require('../transports')
 
-const { addresses, help } = commandLineArgs([
+const {
+  addresses,
+  battery,
+  batteryHistory,
+  calibration,
+  capture,
+  derived,
+  help,
+  lowBattery,
+  replay,
+  speed,
+  units,
+} = commandLineArgs([
   { name: 'addresses', type: String, multiple: true, defaultOption: true },
+  { name: 'battery', alias: 'b', type: Boolean },
+  { name: 'batteryHistory', type: String },
+  { name: 'calibration', type: String },
+  { name: 'capture', alias: 'c', type: String },
+  { name: 'derived', alias: 'd', type: Boolean },
   { name: 'help', alias: 'h', type: Boolean },
+  { name: 'lowBattery', type: Number, defaultValue: 10 },
+  { name: 'replay', alias: 'r', type: String },
+  { name: 'speed', type: Number, defaultValue: 0 },
+  { name: 'units', alias: 'u', type: String, defaultValue: 'celsius' },
 ])
 
 if (help) {
-  console.log('usage: listen.js [<addresses>]')
+  console.log('usage: listen.js [options] [<addresses>]')
+  console.log('')
+  console.log('Options:')
+  console.log('--battery: Only print a battery summary for each sensor')
+  console.log(
+    '--batteryHistory: Battery history to base the estimates on ' +
+    '(e.g. ~/.homebridge/therm-smart/battery.json)'
+  )
+  console.log(
+    '--calibration: Calibration file (a homebridge config.json or a calibration object)'
+  )
+  console.log('--capture: Write the raw advertisements to a JSON lines file')
+  console.log('--derived: Also print dew point, absolute humidity and heat index')
+  console.log('--lowBattery: Battery level below which a battery is low (default: 10)')
+  console.log('--replay: Read advertisements from a capture file instead of scanning')
+  console.log('--speed: Replay speed, 1 for real time (default: 0, as fast as possible)')
+  console.log('--units: Temperature units (available units: celsius, fahrenheit)')
   process.exit()
 }
 
-const readingHandler = reading => {
+const unit = Reading.parseUnit(units)
+if (!unit) {
+  console.error(colors.red('Invalid units:'), units)
+  process.exit(1)
+}
+
+const sensorCalibration = calibration ? Calibration.load(calibration) : new Calibration()
+
+if (replay) {
+  ThermSmart.transport = new ReplayTransport({ file: replay, speed })
+}
+
+const batteryTracker = batteryHistory
+  ? BatteryTracker.load(batteryHistory, { lowThreshold: lowBattery })
+  : new BatteryTracker({ lowThreshold: lowBattery })
+const batteryLevels = new Map()
+
+const captureStream = capture ? fs.createWriteStream(capture, { flags: 'a' }) : null
+
+const advertisementHandler = peripheral => {
+  captureStream.write(ReplayTransport.formatRecord(peripheral) + '\n')
+}
+
+const lastTemperatures = new Map()
+
+const printReading = reading => {
+  reading = reading.toUnit(unit)
+
   const msg = [
     reading.type,
     ': ',
-    colors.green(reading.value),
+    reading.ok ? colors.green(reading.value) : colors.red(reading.statusDescription),
   ]
 
   if (reading.sensor) {
@@ -26,7 +96,7 @@ const readingHandler = reading => {
   }
 
   const symbol = reading.symbol
-  if (symbol) {
+  if (symbol && reading.ok) {
     msg.push(' ')
     msg.push(colors.green(symbol))
   }
@@ -34,13 +104,71 @@ const readingHandler = reading => {
   console.log(msg.join(''))
 }
 
-const normAddresses = addresses && addresses.map(
-  address => address.toLowerCase().replace(/:/g, '')
-)
+const printBattery = (address, level) => {
+  batteryTracker.record(address, level)
+  const estimate = batteryTracker.estimate(address)
 
-console.log('Listening for readings...')
+  const msg = [
+    address,
+    ': ',
+    colors.green(level + '%'),
+    ' ',
+    batteryTracker.isLow(address) ? colors.red('LOW') : colors.green('OK'),
+  ]
 
-ThermSmart.scanForReadings(readingHandler, normAddresses)
+  if (estimate.daysRemaining !== null) {
+    msg.push(
+      `, ${estimate.ratePerDay}% per day, ~${estimate.daysRemaining} days remaining`
+    )
+  } else {
+    msg.push(colors.gray(', no estimate yet'))
+  }
+
+  console.log(msg.join(''))
+}
+
+const readingHandler = (reading, peripheral) => {
+  if (battery) {
+    // Only print the summary when the level of a sensor changes
+    if (reading.type === 'battery-level' &&
+        batteryLevels.get(peripheral.address) !== reading.value) {
+      batteryLevels.set(peripheral.address, reading.value)
+      printBattery(peripheral.address, reading.value)
+    }
+    return
+  }
+
+  reading = sensorCalibration.apply(peripheral.address, reading)
+  printReading(reading)
+
+  if (derived) {
+    const key = peripheral.address + '-' + reading.sensor
+    if (reading.type === 'temperature') {
+      lastTemperatures.set(key, reading)
+    } else if (reading.type === 'humidity') {
+      Reading.derive(lastTemperatures.get(key), reading).forEach(printReading)
+    }
+  }
+}
+
+const normAddresses = addresses && addresses.map(normalizeAddress)
+
+console.log(replay ? `Replaying readings from ${replay}...` : 'Listening for readings...')
+if (capture) {
+  console.log(`Capturing advertisements to ${capture}`)
+}
+
+ThermSmart.scanForReadings(readingHandler, normAddresses, {
+  advertisementHandler: captureStream ? advertisementHandler : null,
+  parseErrorHandler: (error, peripheral) => {
+    console.error(colors.red(`Parse error (${peripheral.address}):`), error.message)
+  },
+})
+  .then(() => {
+    if (captureStream) {
+      captureStream.end()
+    }
+  })
   .catch(error => {
     console.error(colors.red('An error occurred:'), error)
     process.exit(1)
@@ -1,8 +1,11 @@
 #!/usr/bin/env node
 
 const colors = require('colors/safe')
+const commandLineArgs = require('command-line-args')
 const commandLineCommands = require('command-line-commands')
 const prompt = require('prompt')
+const ConnectionManager = require('../connection-manager')
+const { normalizeAddress } = require('../protocol')
 const ThermSmart = require('../therm-smart')
 
 const scan = () => {
@@ -83,66 +86,262 @@ const selectDevice = devices => {
   })
 }
 
-const readTime = device => {
-  console.log(colors.gray('Reading time...'))
+// Exit codes for the non-interactive mode
+const EXIT_OK = 0
+const EXIT_ERROR = 1
+const EXIT_COMMAND_FAILED = 2
+const EXIT_NOT_FOUND = 3
 
-  device.readTime().then(time => {
-    console.log('Time:', time.toString())
-    process.exit()
-  })
+const INFO_LABELS = {
+  name: 'Name',
+  manufacturer: 'Manufacturer',
+  model: 'Model',
+  serialNumber: 'Serial number',
+  hardwareRevision: 'Hardware revision',
+  firmwareRevision: 'Firmware revision',
+  softwareRevision: 'Software revision',
 }
 
-const syncTime = device => {
-  console.log(colors.gray('Synchronizing time...'))
+// Each command resolves to a result object that is either printed or output
+// as JSON
+const COMMANDS = {
+  'read-time': {
+    description: 'Reading time...',
+    run: connection => connection.readTime().then(time => ({
+      time: time.toISOString(),
+      drift: Math.round((time.getTime() - Date.now()) / 1000) || 0,
+    })),
+    print: result => {
+      console.log('Time:', new Date(result.time).toString())
+      console.log('Drift:', result.drift, 'seconds')
+    },
+  },
+  'sync-time': {
+    description: 'Synchronizing time...',
+    run: connection => connection.syncTime().then(() => ({
+      synchronized: true,
+      time: new Date().toISOString(),
+    })),
+    print: () => console.log('Time successfully synchronized'),
+  },
+  'identify': {
+    description: 'Identifying...',
+    run: connection => connection.identify().then(() => ({ identified: true })),
+    print: () => console.log('LED is on for 5 seconds'),
+  },
+  'info': {
+    description: 'Reading device information...',
+    run: connection => connection.readInfo(),
+    print: result => {
+      for (const key of Object.keys(INFO_LABELS)) {
+        if (result[key]) {
+          console.log(`${INFO_LABELS[key]}:`, result[key])
+        }
+      }
+    },
+  },
+}
 
-  device.syncTime().then(() => {
-    console.log('Time successfully synchronized')
-    process.exit()
-  })
+// Name patterns are case insensitive and may contain * and ? wildcards
+const namePattern = pattern => {
+  const source = pattern
+    .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+    .replace(/\*/g, '.*')
+    .replace(/\?/g, '.')
+  return new RegExp(`^${source}$`, 'i')
 }
 
-const identify = device => {
-  console.log(colors.gray('Identifying...'))
+const findDevices = (addresses, timeout) => {
+  const normAddresses = addresses && addresses.map(normalizeAddress)
+  const found = new Set()
+
+  const scanTimeout = setTimeout(() => {
+    ThermSmart.stopScan()
+  }, timeout)
 
-  device.identify().then(() => {
-    console.log('LED is on for 5 seconds')
-    process.exit()
+  // Stop as soon as every requested address has been found
+  const discoverHandler = device => {
+    found.add(normalizeAddress(device.address))
+    if (normAddresses && normAddresses.every(a => found.has(a))) {
+      clearTimeout(scanTimeout)
+      ThermSmart.stopScan()
+    }
+  }
+
+  return ThermSmart.scan(discoverHandler, normAddresses)
+    .then(devices => {
+      clearTimeout(scanTimeout)
+      return devices
+    }, error => {
+      clearTimeout(scanTimeout)
+      throw error
+    })
+}
+
+const runCommand = (command, device, options, print) => {
+  const connection = new ConnectionManager(device, Object.assign({ idleTimeout: 0 }, options))
+  connection.on('retry', (name, attempt, error) => {
+    if (print) {
+      console.log(colors.yellow(`Retrying (attempt ${attempt}):`), error.message)
+    }
   })
+
+  if (print) {
+    console.log(colors.gray('Connecting...'))
+    console.log(colors.gray(COMMANDS[command].description))
+  }
+
+  const close = () => connection.close().catch(() => {})
+
+  return COMMANDS[command].run(connection)
+    .then(result => close().then(() => result), error => close().then(() => {
+      throw error
+    }))
 }
 
-const validCommands = [
-  'read-time',
-  'sync-time',
-  'identify',
-]
-const { command } = commandLineCommands(validCommands.concat([null]))
+const formatError = error => error.code ? `${error.message} (${error.code})` : error.message
 
-if (command === null) {
-  console.log('usage: manage.js <command>')
-  console.log('')
-  console.log('Valid commands are:', validCommands.join(', '))
-  process.exit()
-} else {
-  let device = null
+const runBatch = (command, options) => {
+  const {
+    addresses,
+    all,
+    commandTimeout,
+    json,
+    name,
+    retries,
+    timeout,
+  } = options
+  const pattern = name && namePattern(name)
+  const print = !json
 
-  scan()
-    .then(selectDevice)
-    .then((d) => {
-      device = d
-      console.log(colors.gray('Connecting...'))
-      return device.connect()
+  if (print) {
+    console.log(colors.gray(`Scanning for ${Math.round(timeout / 1000)} seconds...`))
+  }
+
+  return findDevices(all ? null : addresses, timeout)
+    .then(devices => {
+      const selected = devices.filter(d => !pattern || pattern.test(d.localName || ''))
+      const results = []
+
+      // Requested addresses that were not found are reported as failures
+      const missing = (addresses || []).filter(address => {
+        return !selected.some(d => normalizeAddress(d.address) === normalizeAddress(address))
+      })
+
+      for (const address of missing) {
+        if (print) {
+          console.error(colors.red('Sensor not found:'), address)
+        }
+        results.push({ address, ok: false, error: 'Sensor not found', code: 'ENOTFOUND' })
+      }
+
+      const connectionOptions = { commandTimeout, retries }
+
+      return selected.reduce((promise, device) => {
+        return promise.then(() => {
+          if (print) {
+            console.log('')
+            console.log(colors.bold(`${device.localName} (${device.address})`))
+          }
+
+          return runCommand(command, device, connectionOptions, print)
+            .then(result => {
+              if (print) {
+                COMMANDS[command].print(result)
+              }
+              results.push({ address: device.address, name: device.localName, ok: true, result })
+            }, error => {
+              if (print) {
+                console.error(colors.red('An error occurred:'), formatError(error))
+              }
+              results.push({
+                address: device.address,
+                name: device.localName,
+                ok: false,
+                error: error.message,
+                code: error.code || null,
+              })
+            })
+        })
+      }, Promise.resolve()).then(() => ({ selected, missing, results }))
     })
-    .then(() => {
-      if (command === 'read-time') {
-        readTime(device)
-      } else if (command === 'sync-time') {
-        syncTime(device)
-      } else if (command === 'identify') {
-        identify(device)
+    .then(({ selected, missing, results }) => {
+      if (json) {
+        console.log(JSON.stringify({ command, results }, null, 2))
+      }
+
+      if (selected.length === 0) {
+        if (print) {
+          console.error(colors.red('No matching sensors found'))
+        }
+        return EXIT_NOT_FOUND
+      }
+
+      if (missing.length > 0) {
+        return EXIT_NOT_FOUND
       }
+
+      return results.every(r => r.ok) ? EXIT_OK : EXIT_COMMAND_FAILED
     })
-    .catch(error => {
-      console.error(colors.red('An error occurred:'), error)
-      process.exit(1)
+}
+
+const runInteractive = command => {
+  return scan()
+    .then(selectDevice)
+    .then(device => runCommand(command, device, {}, true))
+    .then(result => {
+      COMMANDS[command].print(result)
+      return EXIT_OK
     })
 }
+
+const validCommands = Object.keys(COMMANDS)
+const { command, argv } = commandLineCommands(validCommands.concat([null]))
+
+const options = commandLineArgs([
+  { name: 'addresses', alias: 'a', type: String, multiple: true, defaultOption: true },
+  { name: 'all', type: Boolean },
+  { name: 'commandTimeout', type: Number },
+  { name: 'help', alias: 'h', type: Boolean },
+  { name: 'json', alias: 'j', type: Boolean },
+  { name: 'name', alias: 'n', type: String },
+  { name: 'retries', type: Number },
+  { name: 'timeout', alias: 't', type: Number, defaultValue: 10000 },
+], { argv })
+
+if (command === null || options.help) {
+  console.log('usage: manage.js <command> [options] [<addresses>]')
+  console.log('')
+  console.log('Valid commands are:', validCommands.join(', '))
+  console.log('')
+  console.log('Without any addresses, --name or --all, the sensor is selected interactively')
+  console.log('')
+  console.log('Options:')
+  console.log('--all: Run the command on every sensor that is found')
+  console.log('--commandTimeout: Command timeout, in milliseconds')
+  console.log('--json: Output the result for each sensor as JSON')
+  console.log('--name: Only sensors with a matching name (may contain * and ?)')
+  console.log('--retries: Number of times to retry a failed command')
+  console.log('--timeout: Scan timeout, in milliseconds (default: 10000)')
+  console.log('')
+  console.log('Exit codes: 0 on success, 1 on errors, 2 if the command failed on any')
+  console.log('sensor, 3 if no matching sensors were found or a given address was not found')
+  process.exit()
+}
+
+const batch = options.addresses || options.name || options.all
+
+const run = batch ? runBatch(command, options) : runInteractive(command)
+
+run
+  .then(code => {
+    process.exit(code)
+  })
+  .catch(error => {
+    if (options.json) {
+      console.log(JSON.stringify({ command, error: error.message, code: error.code || null }))
+    } else {
+      console.error(colors.red('An error occurred:'), error.code ? formatError(error) : error)
+    }
+    process.exit(EXIT_ERROR)
+  })
@@ -2,80 +2,294 @@
 
 const colors = require('colors/safe')
 const commandLineArgs = require('command-line-args')
+const Calibration = require('../calibration')
+const Metrics = require('../metrics')
+const { normalizeAddress } = require('../protocol')
+const Reading = require('../reading')
 const ThermSmart = require('../therm-smart')
 
-const { addresses, fieldName, format, help, timeout } = commandLineArgs([
+const {
+  addresses,
+  calibration,
+  derived,
+  fieldName,
+  format,
+  help,
+  require: requiredReadings,
+  timeout,
+  units,
+} = commandLineArgs([
   { name: 'addresses', type: String, multiple: true, defaultOption: true },
+  { name: 'calibration', type: String },
+  { name: 'derived', alias: 'd', type: Boolean },
   { name: 'fieldName', type: String, defaultValue: 'value' },
   { name: 'format', alias: 'f', type: String, defaultValue: 'json' },
   { name: 'help', alias: 'h', type: Boolean },
+  { name: 'require', alias: 'r', type: String, multiple: true },
   { name: 'timeout', alias: 't', type: Number, defaultValue: 5000 },
+  { name: 'units', alias: 'u', type: String, defaultValue: 'celsius' },
 ])
 
 if (help) {
   console.log('usage: read.js [options] [<addresses>]')
   console.log('')
   console.log('Options:')
+  console.log(
+    '--calibration: Calibration file (a homebridge config.json or a calibration object)'
+  )
+  console.log('--derived: Also output dew point, absolute humidity and heat index')
   console.log(
     '--fieldName: Used with the influxdb format to specify the field name'
   )
-  console.log('--format: Output format (available formats: influxdb, json)')
+  console.log(
+    '--format: Output format (available formats: csv, influxdb, json, prometheus, table)'
+  )
+  console.log(
+    '--require: Readings to wait for from each sensor, e.g. indoor-temperature or ' +
+    'battery-level (default: the temperature and humidity of the channels it has)'
+  )
   console.log('--timeout: Read timeout, in milliseconds')
+  console.log('--units: Temperature units (available units: celsius, fahrenheit)')
+  console.log('')
+  console.log('Exit codes: 0 on success, 1 on errors, 2 if the readings of a sensor are')
+  console.log('incomplete, 3 if a sensor sent no readings')
   process.exit()
 }
 
-if (format !== 'influxdb' && format !== 'json') {
+const FORMATS = ['csv', 'influxdb', 'json', 'prometheus', 'table']
+
+const EXIT_INCOMPLETE = 2
+const EXIT_NOT_FOUND = 3
+
+if (FORMATS.indexOf(format) === -1) {
   console.error(colors.red('Invalid format:'), format)
   process.exit(1)
 }
 
-const READINGS = [
+const unit = Reading.parseUnit(units)
+if (!unit) {
+  console.error(colors.red('Invalid units:'), units)
+  process.exit(1)
+}
+
+const sensorCalibration = calibration ? Calibration.load(calibration) : new Calibration()
+
+const DEFAULT_READINGS = [
   'indoor-temperature',
   'indoor-humidity',
   'outdoor-temperature',
 ]
 
-const readings = new Map()
+const CHANNELS = ['indoor', 'outdoor']
+
+const wantedReadings = requiredReadings || DEFAULT_READINGS
+
+// Readings and completion are tracked for each address separately
+const sensors = new Map()
 
-const readingHandler = reading => {
-  let key = reading.type
-  if (reading.sensor) {
-    key = reading.sensor + '-' + key
+const getSensor = address => {
+  const key = normalizeAddress(address)
+  let sensor = sensors.get(key)
+  if (!sensor) {
+    sensor = { address, readings: new Map(), advertisements: new Map(), complete: false }
+    sensors.set(key, sensor)
   }
+  return sensor
+}
+
+const readingKey = reading => reading.sensor ? reading.sensor + '-' + reading.type : reading.type
 
-  if (READINGS.indexOf(key) === -1) {
-    return
+const isComplete = sensor => {
+  if (requiredReadings) {
+    return requiredReadings.every(key => sensor.readings.has(key))
   }
 
-  readings.set(key, reading)
+  // The station alternates between its channels, so it has all of them once
+  // they have all been seen or one of them is seen again
+  const seen = CHANNELS.filter(c => sensor.advertisements.has(c))
+  const allSeen = seen.length === CHANNELS.length ||
+    seen.some(c => sensor.advertisements.get(c) > 1)
 
-  for (const r of READINGS) {
-    if (!readings.has(r)) {
-      return
-    }
+  return allSeen && DEFAULT_READINGS
+    .filter(key => seen.some(c => key.indexOf(c + '-') === 0))
+    .every(key => sensor.readings.has(key))
+}
+
+const readingHandler = (reading, peripheral) => {
+  const sensor = getSensor(peripheral.address)
+  reading = sensorCalibration.apply(peripheral.address, reading)
+
+  if (reading.sensor && reading.type === 'temperature') {
+    const count = sensor.advertisements.get(reading.sensor) || 0
+    sensor.advertisements.set(reading.sensor, count + 1)
+  }
+
+  const key = readingKey(reading)
+  if (wantedReadings.indexOf(key) !== -1) {
+    sensor.readings.set(key, { reading, time: Date.now() })
+  }
+
+  sensor.complete = isComplete(sensor)
+
+  const finished = normAddresses
+    ? normAddresses.every(a => sensors.has(a) && sensors.get(a).complete)
+    : sensor.complete
+
+  if (finished) {
+    done()
+  }
+}
+
+const escapeInflux = value => String(value).replace(/[,= ]/g, '\\$&')
+
+const escapeInfluxString = value => String(value).replace(/["\\]/g, '\\$&')
+
+const escapeCSV = value => {
+  const s = value === null || value === undefined ? '' : String(value)
+  return /[",\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s
+}
+
+const padEnd = (s, width) => {
+  while (s.length < width) {
+    s += ' '
   }
+  return s
+}
+
+const METRIC_UNITS = {
+  '°C': 'celsius',
+  '%': 'percent',
+  'g/m³': 'grams_per_cubic_meter',
+}
+
+const output = entries => {
+  if (format === 'influxdb') {
+    for (const { address, reading: r, time } of entries) {
+      const tags = [`address=${escapeInflux(address)}`]
+      if (r.sensor) {
+        tags.push(`sensor=${escapeInflux(r.sensor)}`)
+      }
+
+      const status = `status="${escapeInfluxString(r.status)}"`
+      const fields = r.ok ? `${escapeInflux(fieldName)}=${r.value},${status}` : status
+
+      // Timestamps are in nanoseconds
+      console.log(`${escapeInflux(r.type)},${tags.join(',')} ${fields} ${time}000000`)
+    }
+  } else if (format === 'json') {
+    console.log(JSON.stringify(entries.map(({ address, reading: r, time }) => ({
+      address,
+      sensor: r.sensor,
+      type: r.type,
+      value: r.value,
+      status: r.status,
+      statusDescription: r.statusDescription,
+      unit: r.symbol,
+      timestamp: new Date(time).toISOString(),
+    }))))
+  } else if (format === 'csv') {
+    console.log('timestamp,address,sensor,type,value,unit,status')
+    for (const { address, reading: r, time } of entries) {
+      console.log([
+        new Date(time).toISOString(),
+        address,
+        r.sensor,
+        r.type,
+        r.ok ? r.value : null,
+        r.symbol,
+        r.status,
+      ].map(escapeCSV).join(','))
+    }
+  } else if (format === 'prometheus') {
+    // Metric names include the unit, so these are always in celsius
+    const metrics = new Metrics('thermsmart_')
+    for (const { address, reading } of entries) {
+      const r = reading.toUnit(Reading.CELSIUS)
+      if (!r.ok) {
+        continue
+      }
+
+      const unitName = METRIC_UNITS[r.symbol]
+      const name = r.type.replace(/-/g, '_') + (unitName ? '_' + unitName : '')
+      metrics.gauge(name, `Latest ${r.type.replace('-', ' ')} reading`)
+      metrics.set(name, r.sensor ? { address, sensor: r.sensor } : { address }, r.value)
+    }
+    process.stdout.write(metrics.render())
+  } else if (format === 'table') {
+    const rows = [['Address', 'Sensor', 'Reading', 'Value', 'Time']].concat(
+      entries.map(({ address, reading: r, time }) => [
+        address,
+        r.sensor || '',
+        r.type.replace(/-/g, ' '),
+        r.ok ? `${r.value} ${r.symbol}` : r.statusDescription,
+        new Date(time).toLocaleTimeString(),
+      ])
+    )
+    const widths = rows[0].map((_, i) => Math.max(...rows.map(row => row[i].length)))
 
-  done()
+    rows.forEach((row, i) => {
+      const line = row.map((cell, j) => padEnd(cell, widths[j])).join('  ').replace(/ +$/, '')
+      console.log(i === 0 ? colors.bold(line) : line)
+    })
+  }
 }
 
 const done = () => {
   clearTimeout(readTimeout)
   ThermSmart.stopScan()
 
-  if (format === 'influxdb') {
-    for (const r of readings.values()) {
-      console.log(`${r.type},sensor=${r.sensor} ${fieldName}=${r.value}`)
+  // Without addresses the first complete sensor is enough, and if none is
+  // complete whatever was received is output
+  const all = Array.from(sensors.values())
+  const complete = all.filter(s => s.complete)
+  const selected = normAddresses || complete.length === 0 ? all : complete.slice(0, 1)
+
+  const entries = []
+
+  for (const sensor of selected) {
+    const readings = sensor.readings
+
+    if (derived && readings.has('indoor-temperature') && readings.has('indoor-humidity')) {
+      const { time } = readings.get('indoor-humidity')
+      const derivedReadings = Reading.derive(
+        readings.get('indoor-temperature').reading,
+        readings.get('indoor-humidity').reading
+      )
+      for (const r of derivedReadings) {
+        readings.set(readingKey(r), { reading: r, time })
+      }
+    }
+
+    for (const { reading, time } of readings.values()) {
+      entries.push({ address: sensor.address, reading: reading.toUnit(unit), time })
     }
-  } else if (format === 'json') {
-    console.log(JSON.stringify(Array.from(readings.values())))
   }
 
-  process.exit()
+  let code = 0
+
+  for (const address of addresses || []) {
+    const sensor = sensors.get(normalizeAddress(address))
+    if (!sensor) {
+      console.error(colors.yellow(`No readings from ${address}`))
+      code = EXIT_NOT_FOUND
+    } else if (!sensor.complete) {
+      console.error(colors.yellow(`Incomplete readings from ${address}`))
+      code = code || EXIT_INCOMPLETE
+    }
+  }
+  if (!addresses && all.length === 0) {
+    console.error(colors.yellow('No sensor sent any readings'))
+    code = EXIT_NOT_FOUND
+  } else if (!addresses && complete.length === 0) {
+    console.error(colors.yellow('No sensor sent all the required readings'))
+    code = EXIT_INCOMPLETE
+  }
+
+  output(entries)
+  process.exit(code)
 }
 
-const normAddresses = addresses && addresses.map(
-  address => address.toLowerCase().replace(/:/g, '')
-)
+const normAddresses = addresses && addresses.map(normalizeAddress)
 
 const readTimeout = setTimeout(() => {
   ThermSmart.stopScan()
@@ -0,0 +1,71 @@
+const { normalizeAddress } = require('./protocol')
+
+const SENSOR_TYPES = ['indoor', 'outdoor']
+
+class SensorConfig {
+  // The old list of allowed addresses is treated as sensors that are
+  // configured without any settings
+  constructor(config, options) {
+    options = options || {}
+
+    this.sensors = new Map()
+    this.onlyConfigured = !!options.onlyConfigured
+
+    if (options.addresses) {
+      for (const address of options.addresses) {
+        this.sensors.set(normalizeAddress(address), {})
+      }
+      this.onlyConfigured = true
+    }
+
+    for (const address of Object.keys(config || {})) {
+      this.sensors.set(normalizeAddress(address), config[address] || {})
+    }
+  }
+
+  get(address, sensor) {
+    const settings = this.sensors.get(normalizeAddress(address))
+    if (!settings) {
+      return null
+    }
+    return sensor ? settings[sensor] || null : settings
+  }
+
+  isIgnored(address, sensor) {
+    const settings = this.get(address)
+    if (!settings) {
+      return this.onlyConfigured
+    }
+
+    if (settings.ignore) {
+      return true
+    }
+
+    const channel = sensor && settings[sensor]
+    return !!(channel && channel.ignore)
+  }
+
+  getName(address, sensor) {
+    const channel = this.get(address, sensor)
+    return (channel && channel.name) || null
+  }
+
+  // The addresses to scan for, or null when any sensor should be picked up
+  get addresses() {
+    if (!this.onlyConfigured) {
+      return null
+    }
+
+    const addresses = []
+    for (const [address, settings] of this.sensors) {
+      if (!settings.ignore && !SENSOR_TYPES.every(t => settings[t] && settings[t].ignore)) {
+        addresses.push(address)
+      }
+    }
+    return addresses
+  }
+}
+
+SensorConfig.SENSOR_TYPES = SENSOR_TYPES
+
+module.exports = SensorConfig
@@ -0,0 +1,62 @@
+const assert = require('assert')
+const { AlertRule, parseAlertRules } = require('../alerts')
+const Reading = require('../reading')
+
+const MINUTE = 60 * 1000
+const START = Date.UTC(2018, 0, 1)
+
+const temperature = value => new Reading('outdoor', 'temperature', value)
+
+describe('AlertRule', () => {
+  it('triggers after the duration and clears with hysteresis', () => {
+    const rule = new AlertRule({ name: 'Frost', below: 0, hysteresis: 1, duration: 5 }, 0)
+    let state = rule.evaluate(undefined, temperature(-1), START)
+
+    assert.strictEqual(state.active, false)
+
+    state = rule.evaluate(state, temperature(-1.5), START + 5 * MINUTE)
+    assert.strictEqual(state.active, true)
+
+    state = rule.evaluate(state, temperature(0.5), START + 6 * MINUTE)
+    assert.strictEqual(state.active, true)
+
+    state = rule.evaluate(state, temperature(1), START + 7 * MINUTE)
+    assert.strictEqual(state.active, false)
+  })
+
+  it('ignores readings of other types and faulty readings', () => {
+    const rule = new AlertRule({ above: 30 }, 0)
+    const faulty = new Reading('outdoor', 'temperature', null, Reading.TOO_HIGH)
+    let state = rule.evaluate(undefined, new Reading('indoor', 'humidity', 50), START)
+    state = rule.evaluate(state, faulty, START)
+
+    assert.strictEqual(state.active, false)
+    assert.strictEqual(state.pendingSince, null)
+  })
+
+  it('matches addresses in any format', () => {
+    const rule = new AlertRule({ above: 30, address: 'E8:4E:06:3A:1C:52' }, 0)
+
+    assert.strictEqual(rule.matches('e84e063a1c52', 'indoor'), true)
+    assert.strictEqual(rule.matches('e8:4e:06:3a:2b:10', 'indoor'), false)
+  })
+
+  it('needs a threshold', () => {
+    assert.throws(() => new AlertRule({ name: 'Frost' }, 0), /threshold/)
+  })
+})
+
+describe('parseAlertRules', () => {
+  it('leaves out invalid and duplicate rules', () => {
+    const messages = []
+    const rules = parseAlertRules([
+      { name: 'Frost', below: 0 },
+      { name: 'Both', below: 0, above: 30 },
+      { name: 'None' },
+      { name: 'frost', above: 30 },
+    ], message => messages.push(message))
+
+    assert.deepStrictEqual(rules.map(r => r.id), ['alert-frost'])
+    assert.strictEqual(messages.length, 3)
+  })
+})
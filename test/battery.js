@@ -0,0 +1,59 @@
+const assert = require('assert')
+const BatteryTracker = require('../battery')
+
+const HOUR = 60 * 60 * 1000
+const START = Date.UTC(2018, 0, 1)
+const ADDRESS = 'e8:4e:06:3a:1c:52'
+
+describe('BatteryTracker', () => {
+  let tracker
+
+  beforeEach(() => {
+    tracker = new BatteryTracker()
+  })
+
+  // Records a level that drops by the given percentage points a day
+  const drain = (from, perDay, days) => {
+    for (let hours = 0; hours <= days * 24; hours += 6) {
+      tracker.record(ADDRESS, Math.round(from - perDay * hours / 24), START + hours * HOUR)
+    }
+  }
+
+  it('estimates the remaining battery life', () => {
+    drain(80, 4, 5)
+
+    assert.deepStrictEqual(tracker.estimate(ADDRESS), {
+      level: 60,
+      ratePerDay: 4,
+      daysRemaining: 15,
+    })
+  })
+
+  it('needs a day of samples for an estimate', () => {
+    drain(80, 4, 0.75)
+
+    assert.strictEqual(tracker.estimate('E8:4E:06:3A:1C:52').ratePerDay, null)
+    assert.strictEqual(tracker.estimate(ADDRESS).daysRemaining, null)
+  })
+
+  it('starts over when the battery is replaced', () => {
+    drain(30, 4, 5)
+    tracker.record(ADDRESS, 100, START + 6 * 24 * HOUR)
+
+    assert.deepStrictEqual(tracker.estimate(ADDRESS), {
+      level: 100,
+      ratePerDay: null,
+      daysRemaining: null,
+    })
+  })
+
+  it('reports when the battery becomes low and recovers', () => {
+    assert.strictEqual(tracker.record(ADDRESS, 11, START).becameLow, false)
+    assert.strictEqual(tracker.record(ADDRESS, 9, START + HOUR).becameLow, true)
+    assert.strictEqual(tracker.record(ADDRESS, 8, START + 2 * HOUR).becameLow, false)
+    assert.strictEqual(tracker.isLow(ADDRESS), true)
+
+    assert.strictEqual(tracker.record(ADDRESS, 95, START + 3 * HOUR).recovered, true)
+    assert.strictEqual(tracker.isLow(ADDRESS), false)
+  })
+})
@@ -0,0 +1,43 @@
+const assert = require('assert')
+const Calibration = require('../calibration')
+const Reading = require('../reading')
+
+describe('Calibration', () => {
+  const calibration = new Calibration({
+    'E8:4E:06:3A:1C:52': {
+      indoor: { temperatureOffset: -0.4, humidityScale: 1.1, humidityOffset: 5 },
+      outdoor: { temperatureScale: 0.5 },
+    },
+  })
+
+  it('applies offsets and scales to the matching channel', () => {
+    const indoor = calibration.apply(
+      'e8:4e:06:3a:1c:52',
+      new Reading('indoor', 'temperature', 21.5)
+    )
+    const outdoor = calibration.apply(
+      'e8:4e:06:3a:1c:52',
+      new Reading('outdoor', 'temperature', -3.2)
+    )
+
+    assert.strictEqual(indoor.value, 21.1)
+    assert.strictEqual(outdoor.value, -1.6)
+  })
+
+  it('keeps humidity within 0-100%', () => {
+    const humidity = calibration.apply(
+      'e8:4e:06:3a:1c:52',
+      new Reading('indoor', 'humidity', 95)
+    )
+
+    assert.strictEqual(humidity.value, 100)
+  })
+
+  it('leaves other sensors and faulty readings alone', () => {
+    const other = new Reading('indoor', 'temperature', 21.5)
+    const faulty = new Reading('indoor', 'temperature', null, Reading.NO_SENSOR)
+
+    assert.strictEqual(calibration.apply('e8:4e:06:3a:2b:10', other), other)
+    assert.strictEqual(calibration.apply('e8:4e:06:3a:1c:52', faulty), faulty)
+  })
+})
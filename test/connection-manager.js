@@ -0,0 +1,159 @@
+const assert = require('assert')
+const EventEmitter = require('events')
+const ConnectionManager = require('../connection-manager')
+const { CommandError, TimeoutError } = require('../errors')
+
+// Stands in for a ThermSmart device, counting connections and commands
+class FakeDevice {
+  constructor() {
+    this.address = 'e8:4e:06:3a:1c:52'
+    this.peripheral = new EventEmitter()
+    this.peripheral.state = 'disconnected'
+    this.notifyCharacteristic = null
+    this.connects = 0
+    this.disconnects = 0
+    this.results = []
+  }
+
+  connect() {
+    this.connects++
+    this.peripheral.state = 'connected'
+    this.notifyCharacteristic = {}
+    return Promise.resolve()
+  }
+
+  disconnect() {
+    this.disconnects++
+    this.peripheral.state = 'disconnected'
+    this.notifyCharacteristic = null
+    return Promise.resolve()
+  }
+
+  // Responds with the queued results in order, where an error is thrown
+  readTime() {
+    const result = this.results.shift()
+    return result instanceof Error ? Promise.reject(result) : Promise.resolve(result)
+  }
+}
+
+const expectError = (promise, check) => {
+  return promise.then(() => {
+    assert.fail('Expected an error')
+  }, check)
+}
+
+describe('ConnectionManager', () => {
+  let device
+  let manager
+
+  beforeEach(() => {
+    device = new FakeDevice()
+    manager = new ConnectionManager(device, { retryDelay: 1, idleTimeout: 0 })
+  })
+
+  it('connects before running a command', () => {
+    device.results.push(new Date(2018, 0, 1))
+
+    return manager.readTime().then(time => {
+      assert.strictEqual(time.getFullYear(), 2018)
+      assert.strictEqual(device.connects, 1)
+    })
+  })
+
+  it('retries failed commands', () => {
+    const retries = []
+    manager.on('retry', (name, attempt) => retries.push(`${name} ${attempt}`))
+    device.results.push(new CommandError('No response'), new CommandError('No response'), 42)
+
+    return manager.readTime().then(result => {
+      assert.strictEqual(result, 42)
+      assert.deepStrictEqual(retries, ['read-time 1', 'read-time 2'])
+    })
+  })
+
+  it('gives up after the last retry', () => {
+    device.results.push(new CommandError('1'), new CommandError('2'), new CommandError('3'))
+
+    return expectError(manager.readTime(), error => {
+      assert.strictEqual(error.message, '3')
+      assert.strictEqual(device.results.length, 0)
+    })
+  })
+
+  it('retries other errors as command errors', () => {
+    device.results.push(new TypeError('Write failed'), 42)
+
+    return manager.readTime().then(result => {
+      assert.strictEqual(result, 42)
+    }).then(() => {
+      device.results.push(new TypeError('1'), new TypeError('2'), new TypeError('3'))
+      return expectError(manager.readTime(), error => {
+        assert(error instanceof CommandError)
+        assert.strictEqual(error.cause.message, '3')
+      })
+    })
+  })
+
+  it('times out commands that never finish', () => {
+    device.readTime = () => new Promise(() => {})
+
+    return expectError(manager.readTime({ timeout: 5, retries: 0 }), error => {
+      assert(error instanceof TimeoutError)
+      assert.strictEqual(error.code, 'ETIMEDOUT')
+    })
+  })
+
+  it('times out connections that never finish', () => {
+    device.connect = () => new Promise(() => {})
+    manager = new ConnectionManager(device, { connectTimeout: 5, retries: 0 })
+
+    return expectError(manager.readTime(), error => {
+      assert(error instanceof TimeoutError)
+      assert(/connecting/.test(error.message))
+    })
+  })
+
+  it('reconnects when disconnected while a command is pending', () => {
+    const events = []
+    manager.on('disconnect', () => events.push('disconnect'))
+    manager.on('reconnecting', () => events.push('reconnecting'))
+
+    device.readTime = () => {
+      if (device.connects === 1) {
+        device.disconnect().then(() => device.peripheral.emit('disconnect'))
+        return new Promise(() => {})
+      }
+      return Promise.resolve(42)
+    }
+
+    return manager.readTime({ timeout: 20 }).then(result => {
+      assert.strictEqual(result, 42)
+      assert.strictEqual(device.connects, 2)
+      assert.deepStrictEqual(events, ['disconnect', 'reconnecting'])
+    })
+  })
+
+  it('disconnects after being idle', done => {
+    manager = new ConnectionManager(device, { idleTimeout: 5 })
+    device.results.push(42)
+
+    manager.on('idle', () => {
+      setImmediate(() => {
+        assert.strictEqual(device.disconnects, 1)
+        done()
+      })
+    })
+    manager.readTime()
+  })
+
+  it('disconnects when closed', () => {
+    device.results.push(42)
+
+    return manager.readTime()
+      .then(() => manager.close())
+      .then(() => {
+        assert.strictEqual(device.peripheral.state, 'disconnected')
+        assert.strictEqual(device.peripheral.listenerCount('disconnect'), 0)
+      })
+  })
+})
@@ -0,0 +1,47 @@
+const assert = require('assert')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const { runScript } = require('./helpers/script')
+
+const ADDRESS = 'e8:4e:06:3a:1c:52'
+
+describe('console.js', function() {
+  this.timeout(10000)
+
+  let transcript
+
+  beforeEach(() => {
+    transcript = path.join(os.tmpdir(), `console-test-${process.pid}.log`)
+  })
+
+  afterEach(done => {
+    fs.unlink(transcript, () => done())
+  })
+
+  const run = input => runScript('console.js', [ADDRESS, '--transcript', transcript], input)
+
+  it('runs the commands that were entered before connecting', () => {
+    return run('d1 01\nd2 00\ny\nquit\n').then(({ code, stdout }) => {
+      const lines = fs.readFileSync(transcript, 'utf8').split('\n').map(l => l.slice(15))
+
+      assert.strictEqual(code, 0)
+      assert(/not a known command/.test(stdout))
+      assert.deepStrictEqual(lines.filter(l => /^[<>]/.test(l)).map(l => l.slice(0, 7)), [
+        '> d1 01',
+        '< d1 01',
+        '> d2 00',
+      ])
+      assert(lines.indexOf('session ended') !== -1)
+    })
+  })
+
+  it('disconnects when the input ends before connecting', () => {
+    return run('').then(({ code }) => {
+      const lines = fs.readFileSync(transcript, 'utf8').split('\n').map(l => l.slice(15))
+
+      assert.strictEqual(code, 0)
+      assert.deepStrictEqual(lines, [`connected to ${ADDRESS}`, 'disconnected', 'session ended', ''])
+    })
+  })
+})
@@ -0,0 +1,106 @@
+const assert = require('assert')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const EveHistory = require('../eve-history')
+
+const EPOCH_OFFSET = 978307200
+const START = Date.UTC(2018, 0, 1)
+
+// Stands in for the HAP service, keeping the values and handlers of its
+// characteristics
+const createService = () => {
+  const characteristics = new Map()
+
+  return {
+    getCharacteristic(type) {
+      if (!characteristics.has(type)) {
+        const handlers = {}
+        characteristics.set(type, {
+          value: null,
+          handlers,
+          setValue(value) {
+            this.value = value
+          },
+          on(event, handler) {
+            handlers[event] = handler
+          },
+        })
+      }
+      return characteristics.get(type)
+    },
+  }
+}
+
+const CHARACTERISTICS = {
+  HistoryStatus: 'status',
+  HistoryEntries: 'entries',
+  HistoryRequest: 'request',
+  SetTime: 'time',
+}
+
+describe('EveHistory', () => {
+  let file
+  let service
+  let history
+
+  beforeEach(() => {
+    file = path.join(os.tmpdir(), `eve-history-test-${process.pid}.json`)
+    service = createService()
+    history = new EveHistory({
+      types: ['temperature', 'humidity'],
+      service,
+      characteristics: CHARACTERISTICS,
+      file,
+      interval: 60 * 1000,
+      memorySize: 4,
+    })
+  })
+
+  afterEach(done => {
+    // Saving is asynchronous, wait for it before removing the file
+    setTimeout(() => fs.unlink(file, () => done()), 10)
+  })
+
+  const addEntry = (minute, temperature, humidity) => {
+    const now = START + minute * 60 * 1000
+    history.addValue('temperature', temperature, now)
+    history.addValue('humidity', humidity, now)
+  }
+
+  const readEntries = () => {
+    const request = Buffer.from('0000' + '01000000' + '0000', 'hex').toString('base64')
+    const entries = service.getCharacteristic('entries')
+    let data = ''
+
+    service.getCharacteristic('request').handlers.set(request, () => {})
+    entries.handlers.get((error, value) => {
+      assert.ifError(error)
+      data = Buffer.from(value, 'base64').toString('hex')
+    })
+    return data
+  }
+
+  it('starts with a reference entry', () => {
+    addEntry(0, 21.5, 42)
+
+    const data = readEntries()
+    const refTime = Math.floor(START / 1000) - EPOCH_OFFSET
+
+    assert.strictEqual(data.slice(0, 2), '15')
+    assert.strictEqual(Buffer.from(data.slice(20, 28), 'hex').readUInt32LE(0), refTime)
+    // Then the averaged values, in hundredths
+    assert.strictEqual(data.slice(-8), '6608' + '6810')
+  })
+
+  it('keeps the reference entry when the memory is full', () => {
+    for (let i = 0; i < 10; i++) {
+      addEntry(i * 10, 20 + i, 40)
+    }
+
+    assert.strictEqual(history.entries.length, 4)
+    assert.strictEqual(history.entries[0].ref, true)
+    assert.deepStrictEqual(history.entries.slice(1).map(e => e.temperature), [27, 28, 29])
+    assert.strictEqual(history.firstEntry, 8)
+  })
+})
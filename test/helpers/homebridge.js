@@ -0,0 +1,55 @@
+const EventEmitter = require('events')
+const hap = require('hap-nodejs')
+const os = require('os')
+const plugin = require('../..')
+
+class PlatformAccessory extends hap.Accessory {
+  constructor(displayName, uuid) {
+    super(displayName, uuid)
+    this.context = {}
+  }
+}
+
+// Stands in for the homebridge API, with just the parts the platform uses
+class API extends EventEmitter {
+  constructor() {
+    super()
+    this.hap = hap
+    this.platformAccessory = PlatformAccessory
+    this.registered = []
+    this.user = { storagePath: () => os.tmpdir() }
+    this.Platform = null
+  }
+
+  registerPlatform(pluginName, platformName, constructor) {
+    this.Platform = constructor
+  }
+
+  registerPlatformAccessories(pluginName, platformName, accessories) {
+    this.registered = this.registered.concat(accessories)
+  }
+
+  unregisterPlatformAccessories(pluginName, platformName, accessories) {
+    this.registered = this.registered.filter(a => accessories.indexOf(a) === -1)
+  }
+}
+
+// Creates the platform with the given config, collecting its log messages
+const createPlatform = config => {
+  const api = new API()
+  const messages = []
+  const log = function() {
+    messages.push(Array.prototype.join.call(arguments, ' '))
+  }
+
+  plugin(api)
+
+  const platform = new api.Platform(log, config || {}, api)
+  platform.messages = messages
+  return platform
+}
+
+module.exports = {
+  createPlatform,
+  PlatformAccessory,
+}
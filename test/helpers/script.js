@@ -0,0 +1,23 @@
+const { execFile } = require('child_process')
+const path = require('path')
+
+// Runs one of the scripts against the simulated sensor with the given input,
+// resolving to its exit code and output
+const runScript = (name, args, input) => {
+  const file = path.join(__dirname, '..', '..', 'scripts', name)
+  const argv = [file].concat(args)
+  const env = Object.assign({}, process.env, { THERMSMART_TRANSPORT: 'simulated' })
+
+  const options = { env, timeout: 10000 }
+
+  return new Promise(resolve => {
+    const child = execFile(process.execPath, argv, options, (error, stdout, stderr) => {
+      resolve({ code: error ? error.code : 0, stdout, stderr })
+    })
+    child.stdin.end(input || '')
+  })
+}
+
+module.exports = {
+  runScript,
+}
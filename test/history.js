@@ -0,0 +1,84 @@
+const assert = require('assert')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const ReadingHistory = require('../history')
+const Reading = require('../reading')
+
+const { MINUTE, DAY } = ReadingHistory
+const NOW = Date.UTC(2018, 2, 1)
+const ADDRESS = 'e8:4e:06:3a:1c:52'
+
+const temperature = (value, status) => new Reading('indoor', 'temperature', value, status)
+
+describe('ReadingHistory', () => {
+  let file
+  let history
+
+  beforeEach(() => {
+    file = path.join(os.tmpdir(), `history-test-${process.pid}.jsonl`)
+    history = new ReadingHistory({ file, retention: 30 * DAY, downsampleAfter: DAY })
+  })
+
+  afterEach(done => {
+    fs.unlink(file, () => done())
+  })
+
+  it('skips repeated readings', () => {
+    const recorded = [
+      history.record(ADDRESS, temperature(21.5), NOW),
+      history.record(ADDRESS, temperature(21.5), NOW + 2000),
+      history.record(ADDRESS, temperature(21.6), NOW + 4000),
+      history.record(ADDRESS, temperature(21.6), NOW + MINUTE),
+      history.record(ADDRESS, temperature(null, Reading.SENSOR_ERROR), NOW + MINUTE + 2000),
+    ]
+
+    assert.deepStrictEqual(recorded, [true, false, false, true, true])
+  })
+
+  it('records unchanged readings once per downsample interval', () => {
+    history.record(ADDRESS, temperature(21.5), NOW)
+
+    assert.strictEqual(history.record(ADDRESS, temperature(21.5), NOW + 14 * MINUTE), false)
+    assert.strictEqual(history.record(ADDRESS, temperature(21.5), NOW + 15 * MINUTE), true)
+  })
+
+  it('queries records by address, type and time', () => {
+    history.record(ADDRESS, temperature(21.5), NOW)
+    history.record(ADDRESS, new Reading('indoor', 'humidity', 42), NOW)
+    history.record('e8:4e:06:3a:2b:10', temperature(19), NOW)
+    history.record(ADDRESS, temperature(21.6), NOW + MINUTE)
+
+    return history.query({ address: ADDRESS, type: 'temperature', from: NOW + 1 })
+      .then(records => {
+        assert.deepStrictEqual(records.map(r => r.value), [21.6])
+        assert.strictEqual(records[0].status, 'ok')
+      })
+  })
+
+  it('matches addresses in any format', () => {
+    history.record(ADDRESS, temperature(21.5), NOW)
+    history.record('E8:4E:06:3A:1C:52', temperature(21.6), NOW + MINUTE)
+
+    return history.query({ address: 'e84e063a1c52' }).then(records => {
+      assert.deepStrictEqual(records.map(r => r.value), [21.5, 21.6])
+    })
+  })
+
+  it('downsamples old records and removes expired ones', () => {
+    history.record(ADDRESS, temperature(10), NOW - 40 * DAY)
+    history.record(ADDRESS, temperature(20), NOW - 2 * DAY)
+    history.record(ADDRESS, temperature(21), NOW - 2 * DAY + 2 * MINUTE)
+    history.record(ADDRESS, temperature(22), NOW - MINUTE)
+
+    return history.compact(NOW)
+      .then(removed => {
+        assert.strictEqual(removed, 2)
+        return history.query({ address: ADDRESS })
+      })
+      .then(records => {
+        assert.deepStrictEqual(records.map(r => r.value), [20.5, 22])
+        assert.strictEqual(records[0].timestamp % (15 * MINUTE), 0)
+      })
+  })
+})
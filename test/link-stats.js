@@ -0,0 +1,65 @@
+const assert = require('assert')
+const LinkStats = require('../link-stats')
+
+const START = Date.UTC(2018, 0, 1)
+const ADDRESS = 'e8:4e:06:3a:1c:52'
+
+describe('LinkStats', () => {
+  let stats
+
+  beforeEach(() => {
+    stats = new LinkStats()
+  })
+
+  const receive = (rssi, interval, time) => {
+    stats.record(ADDRESS, { value: 85, rssi, interval }, time || START)
+  }
+
+  const warningTypes = () => stats.check(ADDRESS).warnings.map(w => w.type)
+
+  it('has no warnings for a good link', () => {
+    receive(-60, 10000)
+    receive(-62, 10000)
+
+    assert.deepStrictEqual(stats.check(ADDRESS), { warnings: [], changed: false })
+  })
+
+  it('warns about a weak signal once', () => {
+    receive(-95, 10000)
+
+    const result = stats.check('E8:4E:06:3A:1C:52')
+    assert.deepStrictEqual(result.warnings.map(w => w.message), ['weak signal (-95 dBm)'])
+    assert.strictEqual(result.changed, true)
+    assert.strictEqual(stats.check(ADDRESS).changed, false)
+  })
+
+  it('warns when the signal drops', () => {
+    for (let i = 0; i < 10; i++) {
+      receive(-60, 10000)
+    }
+    receive(-80, 10000)
+    receive(-80, 10000)
+    assert.deepStrictEqual(warningTypes(), [])
+
+    receive(-80, 10000)
+    assert.deepStrictEqual(warningTypes(), ['signal-drop'])
+  })
+
+  it('warns when advertisements arrive less often', () => {
+    receive(-60, 10000)
+    receive(-60, 60000)
+    receive(-60, 60000)
+    assert.deepStrictEqual(warningTypes(), [])
+
+    receive(-60, 60000)
+    assert.deepStrictEqual(warningTypes(), ['slow'])
+  })
+
+  it('calculates the packet rate', () => {
+    receive(-60, null, START)
+    receive(-60, null, START + 30000)
+    receive(-60, null, START + 60000)
+
+    assert.strictEqual(stats.packetRate(ADDRESS, START + 60000), 3)
+  })
+})
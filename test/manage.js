@@ -0,0 +1,52 @@
+const assert = require('assert')
+const { runScript } = require('./helpers/script')
+
+const ADDRESS = 'e8:4e:06:3a:1c:52'
+const MISSING = 'e8:4e:06:3a:00:01'
+
+describe('manage.js', function() {
+  this.timeout(10000)
+
+  it('runs a command on the given sensors', () => {
+    return runScript('manage.js', ['read-time', ADDRESS, '--json']).then(({ code, stdout }) => {
+      const output = JSON.parse(stdout)
+
+      assert.strictEqual(code, 0)
+      assert.strictEqual(output.command, 'read-time')
+      assert.strictEqual(output.results.length, 1)
+      assert.strictEqual(output.results[0].address, ADDRESS)
+      assert.strictEqual(output.results[0].ok, true)
+      assert(Math.abs(output.results[0].result.drift) <= 2)
+    })
+  })
+
+  it('exits with 3 when no sensor matches', () => {
+    return runScript('manage.js', ['identify', '--name', 'Other*', '--timeout', '500'])
+      .then(({ code, stderr }) => {
+        assert.strictEqual(code, 3)
+        assert(/No matching sensors found/.test(stderr))
+      })
+  })
+
+  it('reports sensors that were not found', () => {
+    return runScript('manage.js', ['identify', ADDRESS, MISSING, '--json', '--timeout', '500'])
+      .then(({ code, stdout }) => {
+        const results = JSON.parse(stdout).results
+
+        assert.strictEqual(code, 3)
+        assert.deepStrictEqual(results.map(r => [r.address, r.ok, r.code]), [
+          [MISSING, false, 'ENOTFOUND'],
+          [ADDRESS, true, undefined],
+        ])
+      })
+  })
+
+  it('prints the sensors that were not found', () => {
+    return runScript('manage.js', ['identify', ADDRESS, MISSING, '--timeout', '500'])
+      .then(({ code, stdout, stderr }) => {
+        assert.strictEqual(code, 3)
+        assert(/Sensor not found: e8:4e:06:3a:00:01/.test(stderr))
+        assert(/LED is on/.test(stdout))
+      })
+  })
+})
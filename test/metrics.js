@@ -0,0 +1,102 @@
+const assert = require('assert')
+const http = require('http')
+const Metrics = require('../metrics')
+
+const get = (port, path) => {
+  return new Promise((resolve, reject) => {
+    http.get({ host: '127.0.0.1', port, path, agent: false }, res => {
+      let body = ''
+      res.setEncoding('utf8')
+      res.on('data', chunk => {
+        body += chunk
+      })
+      res.on('end', () => resolve({ statusCode: res.statusCode, body }))
+    }).on('error', reject)
+  })
+}
+
+describe('Metrics', () => {
+  let metrics
+
+  beforeEach(() => {
+    metrics = new Metrics('thermsmart_')
+  })
+
+  afterEach(() => {
+    metrics.close()
+  })
+
+  it('renders gauges with escaped labels', () => {
+    metrics.gauge('temperature_celsius', 'Latest temperature reading')
+    metrics.set('temperature_celsius', { address: 'e8:4e:06:3a:1c:52', sensor: 'in"door' }, 21.5)
+
+    assert.strictEqual(metrics.render(), [
+      '# HELP thermsmart_temperature_celsius Latest temperature reading',
+      '# TYPE thermsmart_temperature_celsius gauge',
+      'thermsmart_temperature_celsius{address="e8:4e:06:3a:1c:52",sensor="in\\"door"} 21.5',
+      '',
+    ].join('\n'))
+  })
+
+  it('renders counters from zero', () => {
+    metrics.counter('parse_failures_total', 'Number of advertisements that could not be parsed')
+    assert(metrics.render().indexOf('\nthermsmart_parse_failures_total 0\n') !== -1)
+
+    metrics.inc('parse_failures_total', { address: 'e8:4e:06:3a:1c:52' })
+    metrics.inc('parse_failures_total', { address: 'e8:4e:06:3a:1c:52' }, 2)
+    assert(
+      metrics.render().indexOf('thermsmart_parse_failures_total{address="e8:4e:06:3a:1c:52"} 3') !== -1
+    )
+  })
+
+  it('rejects unknown metrics', () => {
+    assert.throws(() => metrics.set('unknown', {}, 1), /Unknown metric/)
+  })
+
+  it('serves the metrics over HTTP', done => {
+    metrics.gauge('up', 'Whether the scanner is running')
+    metrics.set('up', {}, 1)
+
+    metrics.listen(0, '127.0.0.1', error => {
+      assert.ifError(error)
+      const port = metrics.server.address().port
+
+      get(port, '/metrics')
+        .then(res => {
+          assert.strictEqual(res.statusCode, 200)
+          assert(res.body.indexOf('\nthermsmart_up 1\n') !== -1)
+          return get(port, '/other')
+        })
+        .then(res => {
+          assert.strictEqual(res.statusCode, 404)
+        })
+        .then(done, done)
+    })
+  })
+
+  it('reports a port that is in use to the callback', done => {
+    const other = new Metrics()
+
+    metrics.listen(0, '127.0.0.1', error => {
+      assert.ifError(error)
+
+      other.listen(metrics.server.address().port, '127.0.0.1', error => {
+        assert.strictEqual(error.code, 'EADDRINUSE')
+        other.server = null
+        done()
+      })
+    })
+  })
+
+  it('reports errors after startup to the error handler', done => {
+    const errors = []
+
+    metrics.listen(0, '127.0.0.1', error => {
+      assert.ifError(error)
+
+      metrics.server.emit('error', new Error('Connection reset'))
+      assert.strictEqual(errors.length, 1)
+      done()
+    }, error => errors.push(error))
+  })
+})
@@ -0,0 +1,140 @@
+const assert = require('assert')
+const EventEmitter = require('events')
+const MqttPublisher = require('../mqtt-publisher')
+const Reading = require('../reading')
+
+class FakeClient extends EventEmitter {
+  constructor(options) {
+    super()
+    this.options = options
+    this.connected = false
+    this.messages = []
+  }
+
+  publish(topic, payload, options, callback) {
+    this.messages.push({ topic, payload, retain: options.retain })
+    callback && callback()
+  }
+
+  subscribe() {}
+
+  end(force, callback) {
+    this.ended = { force }
+    callback()
+  }
+
+  connect() {
+    this.connected = true
+    this.emit('connect')
+  }
+}
+
+describe('MqttPublisher', () => {
+  let client
+  let publisher
+
+  beforeEach(() => {
+    publisher = new MqttPublisher({
+      connect: (url, options) => {
+        client = new FakeClient(options)
+        return client
+      },
+    })
+    publisher.start()
+    client.connect()
+    client.messages = []
+  })
+
+  const topics = () => client.messages.map(m => `${m.topic}=${m.payload}`)
+
+  it('publishes discovery, values and statuses', () => {
+    publisher.publishReading('e8:4e:06:3a:1c:52', new Reading('indoor', 'temperature', 21.5))
+
+    assert.deepStrictEqual(topics().slice(1), [
+      'thermsmart/e84e063a1c52/indoor/temperature=21.5',
+      'thermsmart/e84e063a1c52/indoor/temperature/status=ok',
+    ])
+
+    const discovery = client.messages[0]
+    const config = JSON.parse(discovery.payload)
+    assert.strictEqual(
+      discovery.topic,
+      'homeassistant/sensor/thermsmart_e84e063a1c52_indoor_temperature/config'
+    )
+    assert.strictEqual(config.state_topic, 'thermsmart/e84e063a1c52/indoor/temperature')
+    assert.strictEqual(config.device_class, 'temperature')
+  })
+
+  it('only publishes changes', () => {
+    const address = 'e8:4e:06:3a:1c:52'
+    publisher.publishReading(address, new Reading('outdoor', 'temperature', 6.5))
+    client.messages = []
+
+    publisher.publishReading(address, new Reading('outdoor', 'temperature', 6.5))
+    publisher.publishReading(address, new Reading('outdoor', 'temperature', 6.4))
+    publisher.publishReading(
+      address,
+      new Reading('outdoor', 'temperature', null, Reading.NO_SENSOR)
+    )
+
+    assert.deepStrictEqual(topics(), [
+      'thermsmart/e84e063a1c52/outdoor/temperature=6.4',
+      'thermsmart/e84e063a1c52/outdoor/temperature/status=no-sensor',
+    ])
+  })
+
+  it('does not queue readings while disconnected', () => {
+    const address = 'e8:4e:06:3a:1c:52'
+    client.connected = false
+
+    publisher.publishReading(address, new Reading(null, 'battery-level', 85))
+    assert.deepStrictEqual(topics(), [])
+    assert.strictEqual(client.options.queueQoSZero, false)
+
+    client.connect()
+    client.messages = []
+    publisher.publishReading(address, new Reading(null, 'battery-level', 85))
+    assert.deepStrictEqual(topics(), [
+      'thermsmart/e84e063a1c52/battery-level=85',
+      'thermsmart/e84e063a1c52/battery-level/status=ok',
+    ])
+  })
+
+  it('only publishes the status of faulty readings', () => {
+    publisher.publishReading(
+      'e8:4e:06:3a:1c:52',
+      new Reading('outdoor', 'temperature', null, Reading.NO_SENSOR)
+    )
+
+    assert.deepStrictEqual(topics().slice(1), [
+      'thermsmart/e84e063a1c52/outdoor/temperature/status=no-sensor',
+    ])
+  })
+
+  it('publishes discovery again when Home Assistant restarts', () => {
+    publisher.publishReading('e8:4e:06:3a:1c:52', new Reading(null, 'battery-level', 85))
+    client.messages = []
+
+    client.emit('message', 'homeassistant/status', Buffer.from('online'))
+
+    assert.deepStrictEqual(client.messages.map(m => m.topic), [
+      'homeassistant/sensor/thermsmart_e84e063a1c52_battery-level/config',
+    ])
+  })
+
+  it('marks itself offline when stopped', () => {
+    return publisher.stop().then(() => {
+      assert.deepStrictEqual(topics(), ['thermsmart/status=offline'])
+      assert.strictEqual(client.messages[0].retain, true)
+    })
+  })
+
+  it('ends the connection right away when disconnected', () => {
+    client.connected = false
+
+    return publisher.stop().then(() => {
+      assert.deepStrictEqual(topics(), [])
+      assert.deepStrictEqual(client.ended, { force: true })
+    })
+  })
+})
@@ -0,0 +1,121 @@
+const assert = require('assert')
+const EventEmitter = require('events')
+const MultiTransport = require('../transports/multi')
+
+const ADDRESS = 'e8:4e:06:3a:1c:52'
+
+class FakeTransport extends EventEmitter {
+  constructor() {
+    super()
+    this.state = 'poweredOn'
+  }
+
+  startScanning(serviceUUIDs, allowDuplicates, callback) {
+    setImmediate(() => {
+      this.emit('scanStart')
+      callback(null)
+    })
+  }
+
+  stopScanning(callback) {
+    setImmediate(() => {
+      this.emit('scanStop')
+      callback && callback()
+    })
+  }
+
+  // Sends the advertisement of a sensor, as received with the given signal strength
+  receive(data, rssi) {
+    this.emit('discover', {
+      address: ADDRESS,
+      rssi,
+      advertisement: { manufacturerData: Buffer.from(data, 'hex') },
+    })
+  }
+}
+
+describe('MultiTransport', () => {
+  let a
+  let b
+  let transport
+  let discovered
+
+  beforeEach(() => {
+    a = new FakeTransport()
+    b = new FakeTransport()
+    transport = new MultiTransport({
+      adapters: [{ name: 'a', transport: a }, { name: 'b', transport: b }],
+      deduplicationWindow: 20,
+    })
+    discovered = []
+    transport.on('discover', peripheral => discovered.push(peripheral))
+  })
+
+  it('passes on an advertisement received by several adapters once', () => {
+    a.receive('5511ae31', -70)
+    b.receive('5511ae31', -80)
+    b.receive('5521c02f', -80)
+
+    assert.deepStrictEqual(discovered.map(p => p.adapter), ['a', 'b'])
+  })
+
+  it('passes on repeated advertisements after the deduplication window', done => {
+    a.receive('5511ae31', -70)
+
+    setTimeout(() => {
+      b.receive('5511ae31', -80)
+      assert.strictEqual(discovered.length, 2)
+      done()
+    }, 30)
+  })
+
+  it('follows the adapter with the strongest signal', () => {
+    const best = []
+    transport.on('bestAdapter', (address, name, rssi) => best.push(`${name} ${rssi}`))
+
+    a.receive('5511ae31', -70)
+    b.receive('5511ae31', -60)
+
+    assert.deepStrictEqual(best, ['a -70', 'b -60'])
+    assert.deepStrictEqual(transport.getBestAdapter(ADDRESS), { name: 'b', rssi: -60 })
+  })
+
+  it('only switches to an adapter with a clearly stronger signal', () => {
+    const best = []
+    transport.on('bestAdapter', (address, name, rssi) => best.push(`${name} ${rssi}`))
+
+    a.receive('5511ae31', -70)
+    b.receive('5511ae31', -67)
+    assert.strictEqual(transport.getBestAdapter(ADDRESS).name, 'a')
+
+    b.receive('5521c02f', -40)
+    assert.deepStrictEqual(best, ['a -70', 'b -62'])
+  })
+
+  it('is powered on while any adapter is', () => {
+    const states = []
+    transport.on('stateChange', state => states.push(state))
+
+    a.state = 'poweredOff'
+    a.emit('stateChange', 'poweredOff')
+    b.state = 'poweredOff'
+    b.emit('stateChange', 'poweredOff')
+    a.state = 'poweredOn'
+    a.emit('stateChange', 'poweredOn')
+
+    assert.deepStrictEqual(states, ['poweredOff', 'poweredOn'])
+  })
+
+  it('stops scanning once every adapter has stopped', done => {
+    transport.startScanning([], true, error => {
+      assert.ifError(error)
+      assert.strictEqual(transport.scanning, true)
+
+      transport.on('scanStop', () => {
+        assert(transport.adapters.every(adapter => !adapter.scanning))
+        done()
+      })
+      transport.stopScanning()
+    })
+  })
+})
@@ -0,0 +1,135 @@
+const assert = require('assert')
+const { createPlatform } = require('./helpers/homebridge')
+
+const ADDRESS = 'e8:4e:06:3a:1c:52'
+
+// Stands in for a connected sensor whose clock is off by the given seconds
+class FakeDevice {
+  constructor(drift) {
+    this.drift = drift
+    this.syncs = 0
+  }
+
+  readTime() {
+    return Promise.resolve(new Date(Date.now() + this.drift * 1000))
+  }
+
+  syncTime() {
+    this.syncs++
+    this.drift = 0
+    return Promise.resolve()
+  }
+}
+
+describe('ThermSmartPlatform', () => {
+  describe('checkClock', () => {
+    let platform
+    let device
+
+    beforeEach(() => {
+      platform = createPlatform({ eveHistory: false })
+      platform.addAccessory('indoor', ADDRESS)
+      platform.addAccessory('outdoor', ADDRESS)
+      platform.withDevice = (address, task) => task(device)
+    })
+
+    it('records the drift of a clock that is close enough', () => {
+      device = new FakeDevice(30)
+
+      return platform.checkClock(ADDRESS, 60).then(() => {
+        assert.strictEqual(device.syncs, 0)
+        for (const accessory of platform.accessories) {
+          assert.strictEqual(accessory.context.clockDrift, 30)
+          assert.strictEqual(
+            accessory.context.clockTimezoneOffset,
+            new Date().getTimezoneOffset()
+          )
+        }
+      })
+    })
+
+    it('syncs a clock that drifts more than the maximum', () => {
+      device = new FakeDevice(-90)
+
+      return platform.checkClock(ADDRESS, 60).then(() => {
+        assert.strictEqual(device.syncs, 1)
+        for (const accessory of platform.accessories) {
+          assert.strictEqual(accessory.context.clockDrift, 0)
+        }
+      })
+    })
+
+    it('syncs a clock when daylight saving time has changed', () => {
+      device = new FakeDevice(0)
+      for (const accessory of platform.accessories) {
+        accessory.context.clockTimezoneOffset = new Date().getTimezoneOffset() + 60
+      }
+
+      return platform.checkClock(ADDRESS, 60).then(() => {
+        assert.strictEqual(device.syncs, 1)
+        assert(platform.messages.some(m => /daylight saving time changed/.test(m)))
+      })
+    })
+  })
+
+  describe('startDeviceInfoRefresh', () => {
+    it('first reads the sensors without cached information', done => {
+      const platform = createPlatform({ eveHistory: false, deviceInfo: { initialDelay: 10 } })
+      const refreshed = []
+      platform.addAccessory('indoor', ADDRESS, { deviceInfo: { model: 'TS-1' } })
+      platform.addAccessory('indoor', 'e8:4e:06:3a:2b:10')
+      platform.refreshDeviceInfo = address => refreshed.push(address) && Promise.resolve()
+
+      platform.startDeviceInfoRefresh()
+
+      setTimeout(() => {
+        platform.api.emit('shutdown')
+        assert.deepStrictEqual(refreshed, ['e8:4e:06:3a:2b:10'])
+        done()
+      }, 30)
+    })
+  })
+
+  describe('startMetricsServer', () => {
+    it('listens on a free port when the port is 0', done => {
+      const platform = createPlatform({
+        eveHistory: false,
+        metrics: { port: 0, host: '127.0.0.1' },
+      })
+
+      platform.startMetricsServer()
+      platform.metrics.server.once('listening', () => {
+        const port = platform.metrics.server.address().port
+        platform.metrics.close()
+
+        assert.notStrictEqual(port, 9464)
+        assert(platform.messages.indexOf(`Serving metrics on port ${port}`) !== -1)
+        done()
+      })
+    })
+  })
+
+  describe('shutdown', () => {
+    it('stops the periodic tasks', done => {
+      const platform = createPlatform({
+        eveHistory: false,
+        clockSync: { initialDelay: 10 },
+        deviceInfo: { initialDelay: 10 },
+      })
+      const checked = []
+      platform.addAccessory('indoor', ADDRESS)
+      platform.checkClock = address => checked.push(address) && Promise.resolve()
+      platform.refreshDeviceInfo = address => checked.push(address) && Promise.resolve()
+
+      platform.startClockSync()
+      platform.startDeviceInfoRefresh()
+      platform.startPeriodicCleaning()
+      platform.api.emit('shutdown')
+
+      setTimeout(() => {
+        assert.deepStrictEqual(checked, [])
+        done()
+      }, 30)
+    })
+  })
+})
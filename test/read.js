@@ -0,0 +1,110 @@
+const assert = require('assert')
+const { runScript } = require('./helpers/script')
+
+const ADDRESS = 'e8:4e:06:3a:1c:52'
+
+// The simulated sensor advertises its indoor channel first
+const read = args => {
+  return runScript('read.js', [
+    ADDRESS,
+    '--require', 'indoor-temperature', 'indoor-humidity',
+  ].concat(args))
+}
+
+describe('read.js', function() {
+  this.timeout(10000)
+
+  it('outputs JSON by default', () => {
+    return read([]).then(({ code, stdout }) => {
+      const entries = JSON.parse(stdout)
+
+      assert.strictEqual(code, 0)
+      assert.deepStrictEqual(entries.map(e => [e.address, e.sensor, e.type, e.unit]), [
+        [ADDRESS, 'indoor', 'temperature', '°C'],
+        [ADDRESS, 'indoor', 'humidity', '%'],
+      ])
+    })
+  })
+
+  it('converts temperatures to the given units', () => {
+    return read(['--units', 'fahrenheit']).then(({ stdout }) => {
+      assert.strictEqual(JSON.parse(stdout)[0].unit, '°F')
+    })
+  })
+
+  it('outputs CSV', () => {
+    return read(['--format', 'csv']).then(({ stdout }) => {
+      const lines = stdout.trim().split('\n')
+
+      assert.strictEqual(lines[0], 'timestamp,address,sensor,type,value,unit,status')
+      assert(/^[^,]+,e8:4e:06:3a:1c:52,indoor,temperature,[\d.]+,°C,ok$/.test(lines[1]))
+    })
+  })
+
+  it('outputs the InfluxDB line protocol', () => {
+    return read(['--format', 'influxdb', '--fieldName', 'celsius']).then(({ stdout }) => {
+      const line = stdout.split('\n')[0]
+
+      assert(
+        /^temperature,address=e8:4e:06:3a:1c:52,sensor=indoor celsius=[\d.]+,status="ok" \d+$/
+          .test(line),
+        line
+      )
+    })
+  })
+
+  it('outputs Prometheus metrics', () => {
+    return read(['--format', 'prometheus']).then(({ stdout }) => {
+      assert(stdout.indexOf('# TYPE thermsmart_temperature_celsius gauge\n') !== -1)
+      assert(
+        /\nthermsmart_humidity_percent{address="e8:4e:06:3a:1c:52",sensor="indoor"} \d+\n/
+          .test(stdout)
+      )
+    })
+  })
+
+  it('outputs a table', () => {
+    return read(['--format', 'table']).then(({ stdout }) => {
+      const lines = stdout.trim().split('\n')
+
+      assert(/^Address +Sensor +Reading +Value +Time$/.test(lines[0]))
+      assert(/^e8:4e:06:3a:1c:52 +indoor +temperature +[\d.]+ °C +\S/.test(lines[1]))
+    })
+  })
+
+  it('waits for both channels without required readings', () => {
+    return runScript('read.js', [ADDRESS]).then(({ code, stdout }) => {
+      const sensors = JSON.parse(stdout).map(e => e.sensor)
+
+      assert.strictEqual(code, 0)
+      assert(sensors.indexOf('indoor') !== -1)
+      assert(sensors.indexOf('outdoor') !== -1)
+    })
+  })
+
+  it('exits with 2 when the readings are incomplete', () => {
+    const args = [ADDRESS, '--require', 'indoor-temperature', 'outdoor-humidity']
+
+    return runScript('read.js', args.concat(['--timeout', '500'])).then(({ code, stdout, stderr }) => {
+      assert.strictEqual(code, 2)
+      assert(/Incomplete readings from e8:4e:06:3a:1c:52/.test(stderr))
+      assert.strictEqual(JSON.parse(stdout)[0].type, 'temperature')
+    })
+  })
+
+  it('exits with 3 when a sensor sends no readings', () => {
+    const args = ['e8:4e:06:3a:00:01', '--timeout', '500']
+
+    return runScript('read.js', args).then(({ code, stderr }) => {
+      assert.strictEqual(code, 3)
+      assert(/No readings from e8:4e:06:3a:00:01/.test(stderr))
+    })
+  })
+
+  it('rejects unknown formats', () => {
+    return read(['--format', 'xml']).then(({ code, stderr }) => {
+      assert.strictEqual(code, 1)
+      assert(/Invalid format/.test(stderr))
+    })
+  })
+})
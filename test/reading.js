@@ -0,0 +1,106 @@
+const assert = require('assert')
+const Reading = require('../reading')
+
+const parse = hex => Reading.parseReadings(Buffer.from(hex, 'hex'), error => {
+  throw error
+})
+
+const find = (readings, sensor, type) => {
+  return readings.find(r => r.sensor === sensor && r.type === type)
+}
+
+describe('Reading', () => {
+  describe('parseReadings', () => {
+    it('parses an indoor advertisement', () => {
+      const readings = parse('5511ae31ae31ae31424242')
+
+      assert.strictEqual(readings[0].type, 'battery-level')
+      assert.strictEqual(readings[0].value, 85)
+      assert.strictEqual(find(readings, 'indoor', 'temperature').value, 21.5)
+      assert.strictEqual(find(readings, 'indoor', 'humidity').value, 42)
+      assert.strictEqual(find(readings, 'indoor', 'minimum-humidity').value, 42)
+    })
+
+    it('parses negative outdoor temperatures', () => {
+      const readings = parse('5521c02fc02fc02f')
+
+      assert.strictEqual(find(readings, 'outdoor', 'temperature').value, -3.2)
+      assert.strictEqual(find(readings, 'outdoor', 'humidity'), undefined)
+    })
+
+    it('reports missing probes', () => {
+      const temperature = find(parse('0c21ffffffffffff'), 'outdoor', 'temperature')
+
+      assert.strictEqual(temperature.ok, false)
+      assert.strictEqual(temperature.status, Reading.NO_SENSOR)
+      assert.strictEqual(temperature.statusDescription, 'no sensor')
+      assert.strictEqual(temperature.value, null)
+    })
+
+    it('reports invalid sensor types to the error handler', () => {
+      const errors = []
+      const readings = Reading.parseReadings(
+        Buffer.from('5510ae31ae31ae31', 'hex'),
+        e => errors.push(e)
+      )
+
+      assert.strictEqual(readings.length, 1)
+      assert.strictEqual(errors.length, 1)
+    })
+
+    it('reports truncated data to the error handler', () => {
+      const errors = []
+      const readings = Reading.parseReadings(Buffer.from('5511ae31', 'hex'), e => errors.push(e))
+
+      assert.strictEqual(readings.length, 1)
+      assert.strictEqual(errors.length, 1)
+    })
+  })
+
+  describe('derive', () => {
+    it('derives dew point, absolute humidity and heat index', () => {
+      const derived = Reading.derive(
+        new Reading('indoor', 'temperature', 21.5),
+        new Reading('indoor', 'humidity', 42)
+      )
+
+      assert.deepStrictEqual(derived.map(r => [r.type, r.value]), [
+        ['dew-point', 8],
+        ['absolute-humidity', 7.9],
+        ['heat-index', 20.8],
+      ])
+    })
+
+    it('derives nothing from faulty readings', () => {
+      const derived = Reading.derive(
+        new Reading('indoor', 'temperature', null, Reading.SENSOR_ERROR),
+        new Reading('indoor', 'humidity', 42)
+      )
+
+      assert.deepStrictEqual(derived, [])
+    })
+  })
+
+  describe('parseUnit', () => {
+    it('accepts unit names and their initials', () => {
+      assert.strictEqual(Reading.parseUnit('Fahrenheit'), Reading.FAHRENHEIT)
+      assert.strictEqual(Reading.parseUnit('C'), Reading.CELSIUS)
+      assert.strictEqual(Reading.parseUnit('kelvin'), null)
+    })
+  })
+
+  describe('toUnit', () => {
+    it('converts temperatures', () => {
+      const reading = new Reading('outdoor', 'temperature', -3.2).toUnit(Reading.FAHRENHEIT)
+
+      assert.strictEqual(reading.value, 26.2)
+      assert.strictEqual(reading.symbol, '°F')
+    })
+
+    it('leaves other readings alone', () => {
+      const reading = new Reading('indoor', 'humidity', 42)
+
+      assert.strictEqual(reading.toUnit(Reading.FAHRENHEIT), reading)
+    })
+  })
+})
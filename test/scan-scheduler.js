@@ -0,0 +1,71 @@
+const assert = require('assert')
+const ScanScheduler = require('../scan-scheduler')
+
+const START = Date.UTC(2018, 0, 1)
+const ADDRESS = 'e8:4e:06:3a:1c:52'
+
+describe('ScanScheduler', () => {
+  it('scans until stopped in continuous mode', () => {
+    const scheduler = new ScanScheduler({ mode: 'continuous', restartDelay: 3000 })
+
+    assert.strictEqual(scheduler.duration, null)
+    assert.strictEqual(scheduler.nextDelay(START), 3000)
+  })
+
+  it('alternates between scanning and idling in duty cycle mode', () => {
+    const scheduler = new ScanScheduler({ scanTime: 8000, idleTime: 60000 })
+
+    scheduler.startCycle([{ address: ADDRESS, sensor: 'indoor' }], START)
+    scheduler.record(ADDRESS, 'indoor', START + 1000)
+
+    assert.strictEqual(scheduler.mode, 'duty-cycle')
+    assert.strictEqual(scheduler.duration, 8000)
+    assert.strictEqual(scheduler.record(ADDRESS, 'indoor', START + 6000), false)
+    assert.strictEqual(scheduler.nextDelay(START + 8000), 60000)
+  })
+
+  it('stops early and resumes before the next advertisement in adaptive mode', () => {
+    const scheduler = new ScanScheduler({ mode: 'adaptive', idleTime: 60000, margin: 2000 })
+    const intervals = []
+    scheduler.on('interval', (address, sensor, interval) => intervals.push(interval))
+
+    scheduler.startCycle([{ address: ADDRESS, sensor: 'indoor' }], START)
+
+    assert.strictEqual(scheduler.record(ADDRESS, 'indoor', START + 1000), false)
+    assert.strictEqual(scheduler.record(ADDRESS, 'indoor', START + 51000), true)
+    assert.deepStrictEqual(intervals, [50000])
+
+    // The advertisement after the idle time is due two intervals later
+    assert.strictEqual(scheduler.nextDelay(START + 51000), 98000)
+  })
+
+  it('ignores the same advertisement received twice', () => {
+    const scheduler = new ScanScheduler({ mode: 'adaptive' })
+
+    scheduler.startCycle([{ address: ADDRESS, sensor: 'indoor' }], START)
+    scheduler.record(ADDRESS, 'indoor', START + 1000)
+    scheduler.record(ADDRESS, 'indoor', START + 1200)
+
+    assert.strictEqual(scheduler.getInterval(ADDRESS, 'indoor'), null)
+  })
+
+  it('only counts gaps within a cycle as the interval', () => {
+    const scheduler = new ScanScheduler({ mode: 'adaptive' })
+
+    scheduler.startCycle([{ address: ADDRESS, sensor: 'indoor' }], START)
+    scheduler.record(ADDRESS, 'indoor', START + 1000)
+    scheduler.startCycle([{ address: ADDRESS, sensor: 'indoor' }], START + 120000)
+    scheduler.record(ADDRESS, 'indoor', START + 125000)
+
+    assert.strictEqual(scheduler.getInterval(ADDRESS, 'indoor'), null)
+  })
+
+  it('falls back to duty cycling for unknown modes', () => {
+    const messages = []
+    const scheduler = new ScanScheduler({ mode: 'sometimes', log: m => messages.push(m) })
+
+    assert.strictEqual(scheduler.mode, 'duty-cycle')
+    assert.strictEqual(scheduler.duration, 10 * 1000)
+    assert.deepStrictEqual(messages, ['Invalid scan mode "sometimes", using duty-cycle instead'])
+  })
+})
@@ -0,0 +1,46 @@
+const assert = require('assert')
+const SensorConfig = require('../sensor-config')
+
+const ADDRESS = 'e8:4e:06:3a:1c:52'
+
+describe('SensorConfig', () => {
+  it('names and ignores channels of a sensor', () => {
+    const config = new SensorConfig({
+      'E8:4E:06:3A:1C:52': {
+        indoor: { name: 'Living room' },
+        outdoor: { ignore: true },
+      },
+    })
+
+    assert.strictEqual(config.getName('e84e063a1c52', 'indoor'), 'Living room')
+    assert.strictEqual(config.getName(ADDRESS, 'outdoor'), null)
+    assert.strictEqual(config.isIgnored(ADDRESS, 'indoor'), false)
+    assert.strictEqual(config.isIgnored(ADDRESS, 'outdoor'), true)
+  })
+
+  it('ignores whole sensors', () => {
+    const config = new SensorConfig({ [ADDRESS]: { ignore: true } })
+
+    assert.strictEqual(config.isIgnored(ADDRESS, 'indoor'), true)
+    assert.strictEqual(config.isIgnored('e8:4e:06:3a:2b:10', 'indoor'), false)
+    assert.strictEqual(config.addresses, null)
+  })
+
+  it('only picks up configured sensors when asked to', () => {
+    const config = new SensorConfig({
+      [ADDRESS]: {},
+      'e8:4e:06:3a:2b:10': { indoor: { ignore: true }, outdoor: { ignore: true } },
+    }, { onlyConfigured: true })
+
+    assert.strictEqual(config.isIgnored('e8:4e:06:3a:00:01', 'indoor'), true)
+    assert.strictEqual(config.isIgnored(ADDRESS, 'indoor'), false)
+    assert.deepStrictEqual(config.addresses, ['e84e063a1c52'])
+  })
+
+  it('treats the deprecated addresses as configured sensors', () => {
+    const config = new SensorConfig(null, { addresses: ['E8:4E:06:3A:1C:52'] })
+
+    assert.strictEqual(config.isIgnored('e8:4e:06:3a:2b:10', 'indoor'), true)
+    assert.deepStrictEqual(config.addresses, ['e84e063a1c52'])
+  })
+})
@@ -0,0 +1,197 @@
+const assert = require('assert')
+const path = require('path')
+const ConnectionManager = require('../connection-manager')
+const { NotFoundError } = require('../errors')
+const ThermSmart = require('../therm-smart')
+const { ReplayTransport, SimulatedTransport } = require('../transports')
+
+const CAPTURE = path.join(__dirname, 'fixtures', 'capture.jsonl')
+
+describe('ThermSmart', () => {
+  afterEach(() => {
+    return ThermSmart.stopScan().then(() => {
+      ThermSmart.transport = null
+    })
+  })
+
+  describe('with the replay transport', () => {
+    beforeEach(() => {
+      ThermSmart.transport = new ReplayTransport({ file: CAPTURE, speed: 0 })
+    })
+
+    it('reads every advertisement in a capture', () => {
+      const readings = []
+
+      return ThermSmart.scanForReadings((reading, peripheral) => {
+        readings.push(`${peripheral.address} ${reading.sensor} ${reading.type} ${reading.value}`)
+      }).then(() => {
+        assert.strictEqual(readings.length, 4 + 7 + 4 + 7)
+        assert(readings.indexOf('e8:4e:06:3a:1c:52 indoor temperature 21.5') !== -1)
+        assert(readings.indexOf('e8:4e:06:3a:1c:52 outdoor temperature -3.2') !== -1)
+        assert(readings.indexOf('e8:4e:06:3a:2b:10 null battery-level 12') !== -1)
+        assert(readings.indexOf('e8:4e:06:3a:2b:10 outdoor temperature null') !== -1)
+      })
+    })
+
+    it('only reads the given addresses', () => {
+      const addresses = new Set()
+
+      return ThermSmart.scanForReadings((reading, peripheral) => {
+        addresses.add(peripheral.address)
+      }, ['e84e063a2b10']).then(() => {
+        assert.deepStrictEqual(Array.from(addresses), ['e8:4e:06:3a:2b:10'])
+      })
+    })
+
+    it('tags readings with the signal strength', () => {
+      const rssi = []
+
+      return ThermSmart.scanForReadings(reading => {
+        if (reading.type === 'battery-level') {
+          rssi.push(reading.rssi)
+        }
+      }).then(() => {
+        assert.deepStrictEqual(rssi, [-60, -81, -58, -80])
+      })
+    })
+  })
+
+  describe('with the simulated transport', () => {
+    beforeEach(() => {
+      ThermSmart.transport = new SimulatedTransport({
+        interval: 10,
+        sensors: [
+          { address: 'e8:4e:06:3a:1c:52' },
+          { address: 'e8:4e:06:3a:2b:10', batteryLevel: 12, outdoor: false },
+        ],
+      })
+    })
+
+    it('reads the advertisements of every sensor', () => {
+      const readings = new Map()
+
+      setTimeout(() => ThermSmart.stopScan(), 200)
+
+      return ThermSmart.scanForReadings((reading, peripheral) => {
+        readings.set(`${peripheral.address} ${reading.sensor} ${reading.type}`, reading)
+      }).then(() => {
+        assert.strictEqual(readings.get('e8:4e:06:3a:2b:10 null battery-level').value, 12)
+        assert(readings.has('e8:4e:06:3a:1c:52 outdoor temperature'))
+        assert(!readings.has('e8:4e:06:3a:2b:10 outdoor temperature'))
+      })
+    })
+
+    it('only scans for the given addresses', () => {
+      const addresses = new Set()
+
+      return ThermSmart.scan(sensor => {
+        addresses.add(sensor.address)
+        ThermSmart.stopScan()
+      }, ['e84e063a2b10']).then(() => {
+        assert.deepStrictEqual(Array.from(addresses), ['e8:4e:06:3a:2b:10'])
+      })
+    })
+
+    it('finds a sensor by address', () => {
+      return ThermSmart.find('E8:4E:06:3A:1C:52', 1000).then(device => {
+        assert.strictEqual(device.address, 'e8:4e:06:3a:1c:52')
+      })
+    })
+
+    it('fails with a typed error when a sensor is not found', () => {
+      return ThermSmart.find('00:00:00:00:00:01', 100).then(() => {
+        assert.fail('Expected an error')
+      }, error => {
+        assert(error instanceof NotFoundError)
+        assert.strictEqual(error.code, 'ENOTFOUND')
+      })
+    })
+
+    it('syncs and reads the time of a sensor', () => {
+      return ThermSmart.find('e8:4e:06:3a:1c:52', 1000).then(device => {
+        const peripheral = device.peripheral
+        const manager = new ConnectionManager(device, { idleTimeout: 0 })
+        peripheral.time = new Date(2001, 0, 1)
+
+        return manager.syncTime()
+          .then(() => manager.readTime())
+          .then(time => {
+            assert(Math.abs(time.getTime() - Date.now()) < 2000)
+          })
+          .then(() => manager.close())
+          .then(() => {
+            assert.strictEqual(peripheral.state, 'disconnected')
+          })
+      })
+    })
+  })
+})
+
+describe('AdapterSupervisor', () => {
+  let transport
+  let supervisor
+  let runs
+
+  beforeEach(() => {
+    transport = new SimulatedTransport({ interval: 10 })
+    ThermSmart.transport = transport
+    supervisor = new ThermSmart.AdapterSupervisor({ minDelay: 5, maxDelay: 20 })
+    runs = 0
+  })
+
+  afterEach(() => {
+    return supervisor.stop().then(() => {
+      ThermSmart.transport = null
+    })
+  })
+
+  const waitFor = (emitter, event) => new Promise(resolve => emitter.once(event, resolve))
+
+  it('runs the task once the adapter is powered on', () => {
+    supervisor.start(() => runs++)
+    assert.strictEqual(runs, 0)
+
+    return waitFor(transport, 'stateChange').then(() => {
+      assert.strictEqual(runs, 1)
+    })
+  })
+
+  it('runs the task again after the adapter comes back', () => {
+    const events = []
+    supervisor.on('down', state => events.push(`down ${state}`))
+    supervisor.on('up', () => events.push('up'))
+    supervisor.start(() => runs++)
+
+    return waitFor(transport, 'stateChange')
+      .then(() => {
+        const restart = waitFor(supervisor, 'restart')
+        transport.setState('poweredOff')
+        transport.setState('poweredOn')
+        return restart
+      })
+      .then(() => new Promise(resolve => setTimeout(resolve, 10)))
+      .then(() => {
+        assert.deepStrictEqual(events, ['down poweredOff', 'up'])
+        assert.strictEqual(runs, 2)
+      })
+  })
+
+  it('backs off after failures', () => {
+    const delays = []
+    supervisor.on('restart', delay => delays.push(delay))
+    supervisor.start(() => {
+      runs++
+      if (runs < 4) {
+        supervisor.failed(new Error('Scan failed'))
+      } else {
+        supervisor.succeeded()
+      }
+    })
+
+    return new Promise(resolve => setTimeout(resolve, 200)).then(() => {
+      assert.deepStrictEqual(delays, [10, 20, 20])
+      assert.strictEqual(runs, 4)
+      assert.strictEqual(supervisor.failures, 0)
+    })
+  })
+})
@@ -1,53 +1,76 @@
 const EventEmitter = require('events')
-const noble = require('noble')
 const Reading = require('./reading')
+const { createTransport } = require('./transports')
+const {
+  CommandError,
+  ConnectionError,
+  DisconnectedError,
+  NotFoundError,
+  TimeoutError,
+} = require('./errors')
+const {
+  COMPANY_ID,
+  SERVICE_UUID,
+  WRITE_CHARACTERISTIC_UUID,
+  NOTIFY_CHARACTERISTIC_UUID,
+  GENERIC_ACCESS_SERVICE_UUID,
+  DEVICE_INFORMATION_SERVICE_UUID,
+  DEVICE_INFORMATION_CHARACTERISTICS,
+  bcdByteToInt,
+  intToBCDByte,
+  normalizeAddress,
+} = require('./protocol')
+
+const DEFAULT_COMMAND_TIMEOUT = 5000
+
+let currentTransport = null
 
-const COMPANY_ID = 0x4842
-
-const SERVICE_UUID = 'fff0'
-
-const WRITE_CHARACTERISTIC_UUID = 'fff3'
-const NOTIFY_CHARACTERISTIC_UUID = 'fff4'
-
-const bcdByteToInt = b => {
-  return (((b & 0xf0) >> 4) * 10) + (b & 0xf)
-}
+class ThermSmart extends EventEmitter {
+  static get transport() {
+    if (currentTransport === null) {
+      currentTransport = createTransport(process.env.THERMSMART_TRANSPORT || 'noble')
+    }
+    return currentTransport
+  }
 
-const intToBCDByte = i => {
-  return ((i / 10) << 4) + (i % 10)
-}
+  static set transport(transport) {
+    currentTransport = transport
+  }
 
-class ThermSmart extends EventEmitter {
   static powerOn() {
-    if (noble.state === 'poweredOn') {
+    const transport = ThermSmart.transport
+
+    if (transport.state === 'poweredOn') {
       return Promise.resolve()
     }
 
     return new Promise((resolve, reject) => {
       const timeout = setTimeout(() => {
-        noble.removeListener('stateChange', stateChangeHandler)
-        reject(new Error('Timeout while waiting for power on (state: ' + noble.state + ')'))
+        transport.removeListener('stateChange', stateChangeHandler)
+        reject(new Error('Timeout while waiting for power on (state: ' + transport.state + ')'))
       }, 5000)
 
       const stateChangeHandler = state => {
         if (state === 'poweredOn') {
           clearTimeout(timeout)
-          noble.removeListener('stateChange', stateChangeHandler)
+          transport.removeListener('stateChange', stateChangeHandler)
           resolve()
         }
       }
 
-      noble.on('stateChange', stateChangeHandler)
+      transport.on('stateChange', stateChangeHandler)
     })
   }
 
   static scan(discoverHandler, addresses) {
+    const transport = ThermSmart.transport
+
     return ThermSmart.powerOn().then(() => {
       return new Promise((resolve, reject) => {
         const sensors = []
 
         const _discoverHandler = peripheral => {
-          const address = peripheral.address && peripheral.address.replace(/:/g, '')
+          const address = peripheral.address && normalizeAddress(peripheral.address)
           if (addresses && addresses.indexOf(address) === -1) {
             return
           }
@@ -60,44 +83,60 @@ class ThermSmart extends EventEmitter {
           }
         }
 
+        const removeListeners = () => {
+          transport.removeListener('discover', _discoverHandler)
+          transport.removeListener('scanStop', scanStopHandler)
+          transport.removeListener('stateChange', stateChangeHandler)
+        }
+
         const scanStopHandler = () => {
+          removeListeners()
           resolve(sensors)
         }
 
         const stateChangeHandler = state => {
           if (state !== 'poweredOn') {
-            noble.removeListener('discover', _discoverHandler)
-            noble.removeListener('scanStop', scanStopHandler)
-            noble.removeListener('stateChange', stateChangeHandler)
-            noble.stopScanning()
+            removeListeners()
+            transport.stopScanning()
             reject(new Error('State changed to ' + state))
           }
         }
 
-        noble.startScanning([SERVICE_UUID], false, error => {
+        transport.startScanning([SERVICE_UUID], false, error => {
           if (error) {
             reject(error)
             return
           }
 
-          noble.on('discover', _discoverHandler)
-          noble.on('scanStop', scanStopHandler)
-          noble.on('stateChange', stateChangeHandler)
+          transport.on('discover', _discoverHandler)
+          transport.on('scanStop', scanStopHandler)
+          transport.on('stateChange', stateChangeHandler)
         })
       })
     })
   }
 
-  static scanForReadings(readingHandler, addresses) {
+  static scanForReadings(readingHandler, addresses, options) {
+    options = options || {}
+    const transport = ThermSmart.transport
+
     return ThermSmart.powerOn().then(() => {
       return new Promise((resolve, reject) => {
+        // Only the time between advertisements within one scan is the
+        // interval, the time between scans is not
+        const lastAdvertisements = new Map()
+
         const discoverHandler = peripheral => {
+          if (options.advertisementHandler) {
+            options.advertisementHandler.call(this, peripheral)
+          }
+
           const data = peripheral.advertisement.manufacturerData
-          if (data.length < 9 || data.readUInt16LE(0) !== COMPANY_ID) {
+          if (!data || data.length < 9 || data.readUInt16LE(0) !== COMPANY_ID) {
             return
           }
 
-          const address = peripheral.address && peripheral.address.replace(/:/g, '')
+          const address = peripheral.address && normalizeAddress(peripheral.address)
           if (address && data.readUIntLE(2, 6).toString(16) !== address) {
             // Seems like the advertisement data always starts with the address
             // in little endian, so we use that as an additional check here
@@ -109,43 +148,94 @@ class ThermSmart extends EventEmitter {
           }
 
           if (readingHandler) {
-            for (const reading of Reading.parseReadings(data.slice(8))) {
-              readingHandler.call(this, reading, peripheral)
+            const parseErrorHandler = options.parseErrorHandler && (
+              error => options.parseErrorHandler.call(this, error, peripheral)
+            )
+
+            const now = Date.now()
+            const previous = lastAdvertisements.get(address)
+            const interval = previous !== undefined ? now - previous : null
+            lastAdvertisements.set(address, now)
+
+            const adapter = peripheral.adapter || null
+            for (const reading of Reading.parseReadings(data.slice(8), parseErrorHandler)) {
+              readingHandler.call(
+                this,
+                reading.withSource(adapter, peripheral.rssi, interval),
+                peripheral
+              )
             }
           }
         }
 
+        const removeListeners = () => {
+          transport.removeListener('discover', discoverHandler)
+          transport.removeListener('scanStop', scanStopHandler)
+          transport.removeListener('stateChange', stateChangeHandler)
+        }
+
         const scanStopHandler = () => {
+          removeListeners()
           resolve()
         }
 
         const stateChangeHandler = state => {
           if (state !== 'poweredOn') {
-            noble.removeListener('discover', discoverHandler)
-            noble.removeListener('scanStop', scanStopHandler)
-            noble.removeListener('stateChange', stateChangeHandler)
-            noble.stopScanning()
+            removeListeners()
+            transport.stopScanning()
             reject(new Error('State changed to ' + state))
           }
         }
 
-        noble.startScanning([SERVICE_UUID], true, error => {
+        transport.startScanning([SERVICE_UUID], true, error => {
           if (error) {
             reject(error)
             return
           }
 
-          noble.on('discover', discoverHandler)
-          noble.on('scanStop', scanStopHandler)
-          noble.on('stateChange', stateChangeHandler)
+          transport.on('discover', discoverHandler)
+          transport.on('scanStop', scanStopHandler)
+          transport.on('stateChange', stateChangeHandler)
         })
       })
     })
   }
 
+  static find(address, timeout) {
+    const normAddress = normalizeAddress(address)
+    let found = false
+
+    const scanTimeout = setTimeout(() => {
+      ThermSmart.stopScan()
+    }, timeout || 10000)
+
+    const discoverHandler = sensor => {
+      if (!found) {
+        found = true
+        clearTimeout(scanTimeout)
+        ThermSmart.stopScan()
+      }
+    }
+
+    return ThermSmart.scan(discoverHandler, [normAddress])
+      .then(sensors => {
+        clearTimeout(scanTimeout)
+
+        if (sensors.length === 0) {
+          throw new NotFoundError(`Could not find sensor with address ${address}`)
+        }
+        return sensors[0]
+      }, error => {
+        clearTimeout(scanTimeout)
+        throw error
+      })
+  }
+
   static stopScan() {
+    const transport = ThermSmart.transport
+
     return new Promise((resolve, reject) => {
-      noble.stopScanning(() => {
+      transport.stopScanning(() => {
         resolve()
       })
     })
@@ -170,7 +260,7 @@ class ThermSmart extends EventEmitter {
 
       this.peripheral.connect(error => {
         if (error) {
-          reject(error)
+          reject(new ConnectionError('Could not connect to ' + this.address, error))
         } else {
           resolve()
         }
@@ -184,10 +274,28 @@ class ThermSmart extends EventEmitter {
     })
   }
 
+  disconnect() {
+    return new Promise((resolve, reject) => {
+      if (this.peripheral.state !== 'connected') {
+        resolve()
+        return
+      }
+
+      this.peripheral.disconnect(error => {
+        if (error) {
+          reject(new ConnectionError('Could not disconnect from ' + this.address, error))
+        } else {
+          this.emit('disconnected')
+          resolve()
+        }
+      })
+    })
+  }
+
   _getCharacteristics() {
     return new Promise((resolve, reject) => {
       const disconnectHandler = () => {
-        reject(new Error('Peripheral disconnected unexpectedly'))
+        reject(new DisconnectedError())
       }
       this.peripheral.once('disconnect', disconnectHandler)
 
@@ -198,15 +306,25 @@ class ThermSmart extends EventEmitter {
           this.peripheral.removeListener('disconnect', disconnectHandler)
 
           if (error) {
-            reject(error)
-          } else {
-            this.writeCharacteristic = characteristics.find(
-              c => c.uuid === WRITE_CHARACTERISTIC_UUID
-            )
-            this.notifyCharacteristic = characteristics.find(
-              c => c.uuid === NOTIFY_CHARACTERISTIC_UUID
-            )
+            reject(new ConnectionError(
+              'Could not discover the services of ' + this.address,
+              error
+            ))
+            return
+          }
 
+          this.writeCharacteristic = (characteristics || []).find(
+            c => c.uuid === WRITE_CHARACTERISTIC_UUID
+          )
+          this.notifyCharacteristic = (characteristics || []).find(
+            c => c.uuid === NOTIFY_CHARACTERISTIC_UUID
+          )
+
+          if (!this.writeCharacteristic || !this.notifyCharacteristic) {
+            reject(new ConnectionError(
+              `Sensor ${this.address} does not have the expected characteristics`
+            ))
+          } else {
             resolve()
           }
         }
@@ -217,14 +335,17 @@ class ThermSmart extends EventEmitter {
   _setupListeners() {
     return new Promise((resolve, reject) => {
       const disconnectHandler = () => {
-        reject(new Error('Peripheral disconnected unexpectedly'))
+        reject(new DisconnectedError())
       }
       this.peripheral.once('disconnect', disconnectHandler)
 
       this.notifyCharacteristic.subscribe(error => {
         this.peripheral.removeListener('disconnect', disconnectHandler)
         if (error) {
-          reject(error)
+          reject(new ConnectionError(
+            'Could not subscribe to notifications from ' + this.address,
+            error
+          ))
         } else {
           resolve()
         }
@@ -232,33 +353,61 @@ class ThermSmart extends EventEmitter {
     })
   }
 
-  write(data, responseCommand) {
+  write(data, responseCommand, timeout) {
     return new Promise((resolve, reject) => {
+      if (!this.writeCharacteristic || !this.notifyCharacteristic ||
+          this.peripheral.state !== 'connected') {
+        reject(new DisconnectedError('Peripheral is not connected'))
+        return
+      }
+
+      const command = '0x' + data.toString('hex', 0, 1)
+      let responseTimeout = null
+
+      const cleanUp = () => {
+        clearTimeout(responseTimeout)
+        this.notifyCharacteristic.removeListener('data', dataHandler)
+        this.peripheral.removeListener('disconnect', disconnectHandler)
+      }
+
       const dataHandler = (receivedData) => {
         if (receivedData[0] === responseCommand) {
-          this.notifyCharacteristic.removeListener('data', dataHandler)
+          cleanUp()
           resolve(receivedData)
         }
       }
 
+      const disconnectHandler = () => {
+        cleanUp()
+        reject(new DisconnectedError(`Peripheral disconnected during command ${command}`))
+      }
+
+      this.peripheral.once('disconnect', disconnectHandler)
+
       if (responseCommand !== null) {
         this.notifyCharacteristic.on('data', dataHandler)
+
+        responseTimeout = setTimeout(() => {
+          cleanUp()
+          reject(new TimeoutError(`Timeout while waiting for a response to command ${command}`))
+        }, timeout || DEFAULT_COMMAND_TIMEOUT)
       }
 
       this.writeCharacteristic.write(data, false, error => {
         this.emit('write', data, error)
         if (error) {
-          this.notifyCharacteristic.removeListener('data', dataHandler)
-          reject(error)
+          cleanUp()
+          reject(new CommandError(`Could not write command ${command}`, error))
         } else if (responseCommand === null) {
+          cleanUp()
           resolve()
         }
       })
     })
   }
 
-  readTime() {
-    return this.write(Buffer.from([0xd1, 0x01]), 0xd1)
+  readTime(timeout) {
+    return this.write(Buffer.from([0xd1, 0x01]), 0xd1, timeout)
       .then(data => {
         return new Date(
           bcdByteToInt(data[2]) + 2000,
@@ -271,7 +420,7 @@ class ThermSmart extends EventEmitter {
       })
   }
 
-  syncTime() {
+  syncTime(timeout) {
     const now = new Date()
 
     return this.write(
@@ -285,13 +434,182 @@ class ThermSmart extends EventEmitter {
         intToBCDByte(now.getMinutes()),
         intToBCDByte(now.getSeconds())
       ]),
-      0xd1
+      0xd1,
+      timeout
     )
   }
 
-  identify() {
-    return this.write(Buffer.from([0xd5]), null)
+  identify(timeout) {
+    return this.write(Buffer.from([0xd5]), null, timeout)
+  }
+
+  // Reads the standard device information, leaving out the values that the
+  // device doesn't have
+  readInfo(timeout) {
+    const info = { name: this.localName || null }
+
+    return new Promise((resolve, reject) => {
+      if (this.peripheral.state !== 'connected') {
+        reject(new DisconnectedError('Peripheral is not connected'))
+        return
+      }
+
+      const cleanUp = () => {
+        clearTimeout(infoTimeout)
+        this.peripheral.removeListener('disconnect', disconnectHandler)
+      }
+
+      const disconnectHandler = () => {
+        cleanUp()
+        reject(new DisconnectedError('Peripheral disconnected while reading device information'))
+      }
+
+      const infoTimeout = setTimeout(() => {
+        cleanUp()
+        reject(new TimeoutError('Timeout while reading device information'))
+      }, timeout || DEFAULT_COMMAND_TIMEOUT)
+
+      this.peripheral.once('disconnect', disconnectHandler)
+
+      this.peripheral.discoverSomeServicesAndCharacteristics(
+        [GENERIC_ACCESS_SERVICE_UUID, DEVICE_INFORMATION_SERVICE_UUID],
+        Object.keys(DEVICE_INFORMATION_CHARACTERISTICS),
+        (error, services, characteristics) => {
+          if (error) {
+            cleanUp()
+            reject(new CommandError('Could not discover the device information service', error))
+            return
+          }
+
+          const reads = characteristics.map(characteristic => {
+            return new Promise(resolve => {
+              characteristic.read((error, data) => {
+                const value = !error && data && data.toString('utf8').replace(/\0+$/, '').trim()
+                if (value) {
+                  info[DEVICE_INFORMATION_CHARACTERISTICS[characteristic.uuid]] = value
+                }
+                resolve()
+              })
+            })
+          })
+
+          Promise.all(reads).then(() => {
+            cleanUp()
+            resolve(info)
+          })
+        }
+      )
+    })
   }
 }
 
+class AdapterSupervisor extends EventEmitter {
+  constructor(options) {
+    super()
+    options = options || {}
+
+    this.minDelay = options.minDelay || 1000
+    this.maxDelay = options.maxDelay || 60 * 1000
+    this.transport = null
+    this.task = null
+    this.running = false
+    this.failures = 0
+    this.timer = null
+    this.down = false
+    this.waiting = false
+
+    this._stateChangeHandler = state => {
+      if (state === 'poweredOn') {
+        if (this.down) {
+          this.down = false
+          this.emit('up')
+          this._scheduleRestart()
+        } else if (this.waiting) {
+          this.waiting = false
+          this._run()
+        }
+      } else if (state !== 'unknown' && !this.down) {
+        // The state is unknown until the adapter has been initialized
+        this.down = true
+        this.waiting = false
+        clearTimeout(this.timer)
+        this.timer = null
+        this.emit('down', state)
+      }
+    }
+  }
+
+  get available() {
+    return !!this.transport && this.transport.state === 'poweredOn'
+  }
+
+  get state() {
+    return this.transport ? this.transport.state : 'unknown'
+  }
+
+  // Runs the task whenever the adapter is powered on, and again after it
+  // comes back from a reset or power state change
+  start(task) {
+    this.task = task
+    this.running = true
+    this.transport = ThermSmart.transport
+    this.transport.on('stateChange', this._stateChangeHandler)
+
+    if (this.available) {
+      this._run()
+    } else {
+      this.waiting = true
+      this._stateChangeHandler(this.state)
+    }
+  }
+
+  // Reports that the task failed while the adapter was available
+  failed(error) {
+    this.failures++
+
+    if (this.available) {
+      this._scheduleRestart()
+    }
+  }
+
+  succeeded() {
+    this.failures = 0
+  }
+
+  stop() {
+    this.running = false
+    clearTimeout(this.timer)
+    this.timer = null
+
+    if (!this.transport) {
+      return Promise.resolve()
+    }
+
+    this.transport.removeListener('stateChange', this._stateChangeHandler)
+    return ThermSmart.stopScan()
+  }
+
+  _scheduleRestart() {
+    if (!this.running) {
+      return
+    }
+
+    const delay = Math.min(this.maxDelay, this.minDelay * Math.pow(2, this.failures))
+    this.emit('restart', delay, this.failures)
+
+    clearTimeout(this.timer)
+    this.timer = setTimeout(() => this._run(), delay)
+  }
+
+  _run() {
+    this.timer = null
+
+    if (this.running && this.available) {
+      this.task()
+    }
+  }
+}
+
+ThermSmart.AdapterSupervisor = AdapterSupervisor
+
 module.exports = ThermSmart
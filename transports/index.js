@@ -0,0 +1,42 @@
+const MultiTransport = require('./multi')
+const NobleTransport = require('./noble')
+const ReplayTransport = require('./replay')
+const SimulatedTransport = require('./simulated')
+
+const TRANSPORTS = {
+  noble: NobleTransport,
+  replay: ReplayTransport,
+  simulated: SimulatedTransport,
+}
+
+const createTransport = (name, options) => {
+  const Transport = TRANSPORTS[name]
+  if (!Transport) {
+    throw new Error('Unknown transport: ' + name)
+  }
+
+  return new Transport(options)
+}
+
+// Creates a transport that listens on several adapters, each configured with
+// a name, an optional transport (defaulting to the given one) and its options
+const createMultiTransport = (adapters, defaultTransport, options) => {
+  return new MultiTransport(Object.assign({}, options, {
+    adapters: adapters.map((adapter, i) => {
+      const { name, transport } = adapter
+      return {
+        name: name || `hci${adapter.deviceId !== undefined ? adapter.deviceId : i}`,
+        transport: createTransport(transport || defaultTransport || 'noble', adapter),
+      }
+    }),
+  }))
+}
+
+module.exports = {
+  createMultiTransport,
+  createTransport,
+  MultiTransport,
+  NobleTransport,
+  ReplayTransport,
+  SimulatedTransport,
+}
@@ -0,0 +1,231 @@
+const EventEmitter = require('events')
+
+// Advertisements with the same data from the same sensor that arrive within
+// this time are the same advertisement, received by several adapters
+const DEFAULT_DEDUPLICATION_WINDOW = 500
+
+// Another adapter only becomes the best one for a sensor once its signal is
+// this much stronger, so that adapters with a similar signal don't keep
+// taking turns
+const DEFAULT_SWITCH_MARGIN = 5
+
+class Adapter {
+  constructor(name, transport) {
+    this.name = name
+    this.transport = transport
+    this.scanning = false
+  }
+
+  get state() {
+    return this.transport.state
+  }
+}
+
+class MultiTransport extends EventEmitter {
+  constructor(options) {
+    super()
+    this.options = options || {}
+
+    if (!this.options.adapters || this.options.adapters.length === 0) {
+      throw new Error('The multi transport needs at least one adapter')
+    }
+
+    this.deduplicationWindow = this.options.deduplicationWindow !== undefined
+      ? this.options.deduplicationWindow
+      : DEFAULT_DEDUPLICATION_WINDOW
+    this.switchMargin = this.options.switchMargin !== undefined
+      ? this.options.switchMargin
+      : DEFAULT_SWITCH_MARGIN
+    this.adapters = this.options.adapters.map(a => new Adapter(a.name, a.transport))
+    this.state = 'unknown'
+    this.scanning = false
+    this.scanRequested = false
+    this.serviceUUIDs = null
+    this.allowDuplicates = false
+    this.recent = new Map()
+    this.signals = new Map()
+    this.best = new Map()
+
+    for (const adapter of this.adapters) {
+      const transport = adapter.transport
+
+      transport.on('stateChange', state => this._stateChangeHandler(adapter, state))
+      transport.on('scanStart', () => {
+        adapter.scanning = true
+      })
+      transport.on('scanStop', () => {
+        adapter.scanning = false
+        this._checkScanStop()
+      })
+      transport.on('discover', peripheral => this._discoverHandler(adapter, peripheral))
+    }
+
+    this._updateState()
+  }
+
+  startScanning(serviceUUIDs, allowDuplicates, callback) {
+    this.serviceUUIDs = serviceUUIDs
+    this.allowDuplicates = allowDuplicates
+    this.scanRequested = true
+
+    const available = this.adapters.filter(a => a.state === 'poweredOn')
+    if (available.length === 0) {
+      setImmediate(() => {
+        callback && callback(new Error('Could not start scanning, no adapter is powered on'))
+      })
+      return
+    }
+
+    let pending = available.length
+    let started = 0
+    let lastError = null
+
+    for (const adapter of available) {
+      this._startAdapter(adapter, error => {
+        if (error) {
+          lastError = error
+        } else {
+          started++
+        }
+
+        if (--pending === 0) {
+          if (started === 0) {
+            callback && callback(lastError)
+            return
+          }
+
+          if (!this.scanning) {
+            this.scanning = true
+            this.emit('scanStart')
+          }
+          callback && callback(null)
+        }
+      })
+    }
+  }
+
+  stopScanning(callback) {
+    this.scanRequested = false
+    let pending = this.adapters.length
+
+    for (const adapter of this.adapters) {
+      adapter.transport.stopScanning(() => {
+        if (--pending === 0) {
+          this._emitScanStop()
+          callback && callback()
+        }
+      })
+    }
+  }
+
+  // The adapter that receives the given sensor with the best signal
+  getBestAdapter(address) {
+    const best = this.best.get(address)
+    if (!best) {
+      return null
+    }
+    return { name: best, rssi: Math.round(this.signals.get(address)[best]) }
+  }
+
+  _startAdapter(adapter, callback) {
+    adapter.transport.startScanning(this.serviceUUIDs, this.allowDuplicates, error => {
+      if (error) {
+        this.emit('adapterError', adapter.name, error)
+      }
+      callback(error)
+    })
+  }
+
+  _stateChangeHandler(adapter, state) {
+    this.emit('adapterStateChange', adapter.name, state)
+
+    // Adapters that come back while scanning join in right away
+    if (state === 'poweredOn' && this.scanRequested) {
+      this._startAdapter(adapter, () => {})
+    }
+
+    this._updateState()
+  }
+
+  _updateState() {
+    const states = this.adapters.map(a => a.state)
+    let state = 'unknown'
+
+    if (states.indexOf('poweredOn') !== -1) {
+      state = 'poweredOn'
+    } else if (states.every(s => s !== 'unknown')) {
+      state = states[0]
+    }
+
+    if (state !== this.state) {
+      this.state = state
+      this.emit('stateChange', state)
+    }
+  }
+
+  _checkScanStop() {
+    if (this.adapters.every(a => !a.scanning)) {
+      this._emitScanStop()
+    }
+  }
+
+  _emitScanStop() {
+    if (this.scanning) {
+      this.scanning = false
+      this.emit('scanStop')
+    }
+  }
+
+  _updateSignal(adapter, peripheral) {
+    if (typeof peripheral.rssi !== 'number') {
+      return
+    }
+
+    const address = peripheral.address
+    const signals = this.signals.get(address) || {}
+    const previous = signals[adapter.name]
+
+    signals[adapter.name] = previous === undefined
+      ? peripheral.rssi
+      : previous * 0.8 + peripheral.rssi * 0.2
+    this.signals.set(address, signals)
+
+    let strongest = null
+    for (const name of Object.keys(signals)) {
+      if (strongest === null || signals[name] > signals[strongest]) {
+        strongest = name
+      }
+    }
+
+    const best = this.best.get(address)
+    if (!best || (strongest !== best && signals[strongest] - signals[best] >= this.switchMargin)) {
+      this.best.set(address, strongest)
+      this.emit('bestAdapter', address, strongest, Math.round(signals[strongest]))
+    }
+  }
+
+  _discoverHandler(adapter, peripheral) {
+    peripheral.adapter = adapter.name
+    this._updateSignal(adapter, peripheral)
+
+    const data = peripheral.advertisement && peripheral.advertisement.manufacturerData
+    const key = peripheral.address + (data ? data.toString('hex') : '')
+    const now = Date.now()
+    const seen = this.recent.get(key)
+
+    if (seen !== undefined && now - seen < this.deduplicationWindow) {
+      return
+    }
+
+    this.recent.set(key, now)
+    for (const [k, time] of this.recent) {
+      if (now - time >= this.deduplicationWindow) {
+        this.recent.delete(k)
+      }
+    }
+
+    this.emit('discover', peripheral)
+  }
+}
+
+module.exports = MultiTransport
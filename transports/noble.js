@@ -0,0 +1,65 @@
+const EventEmitter = require('events')
+
+const EVENTS = [
+  'stateChange',
+  'scanStart',
+  'scanStop',
+  'discover',
+]
+
+// Creates a separate noble instance bound to the given HCI device, since the
+// default instance uses the one in NOBLE_HCI_DEVICE_ID for the whole process
+const createNoble = deviceId => {
+  const defaultBindings = require('noble/lib/hci-socket/bindings')
+  const noble = require('noble/with-bindings')(new defaultBindings.constructor())
+  const previous = process.env.NOBLE_HCI_DEVICE_ID
+
+  process.env.NOBLE_HCI_DEVICE_ID = deviceId
+  try {
+    // Reading the state initializes the bindings right away
+    noble.state
+  } finally {
+    if (previous === undefined) {
+      delete process.env.NOBLE_HCI_DEVICE_ID
+    } else {
+      process.env.NOBLE_HCI_DEVICE_ID = previous
+    }
+  }
+
+  return noble
+}
+
+class NobleTransport extends EventEmitter {
+  constructor(options) {
+    super()
+    this.options = options || {}
+
+    // Required lazily so that other transports can be used on machines where
+    // noble's native bindings are not available
+    this.noble = this.options.noble || (
+      this.options.deviceId !== undefined
+        ? createNoble(this.options.deviceId)
+        : require('noble')
+    )
+
+    for (const event of EVENTS) {
+      this.noble.on(event, (...args) => {
+        this.emit(event, ...args)
+      })
+    }
+  }
+
+  get state() {
+    return this.noble.state
+  }
+
+  startScanning(serviceUUIDs, allowDuplicates, callback) {
+    this.noble.startScanning(serviceUUIDs, allowDuplicates, callback)
+  }
+
+  stopScanning(callback) {
+    this.noble.stopScanning(callback)
+  }
+}
+
+module.exports = NobleTransport
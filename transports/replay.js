@@ -0,0 +1,160 @@
+const EventEmitter = require('events')
+const fs = require('fs')
+
+const parseCapture = data => {
+  const records = []
+
+  data.split('\n').forEach((line, i) => {
+    if (!line.trim()) {
+      return
+    }
+
+    let record
+    try {
+      record = JSON.parse(line)
+    } catch (e) {
+      throw new Error(`Invalid capture record on line ${i + 1}: ${e.message}`)
+    }
+
+    records.push({
+      time: new Date(record.timestamp).getTime(),
+      address: record.address,
+      rssi: record.rssi,
+      localName: record.localName,
+      manufacturerData: Buffer.from(record.manufacturerData || '', 'hex'),
+    })
+  })
+
+  return records
+}
+
+const formatRecord = (peripheral, timestamp) => {
+  const advertisement = peripheral.advertisement || {}
+
+  return JSON.stringify({
+    timestamp: new Date(timestamp || Date.now()).toISOString(),
+    address: peripheral.address,
+    rssi: peripheral.rssi,
+    localName: advertisement.localName,
+    manufacturerData: advertisement.manufacturerData
+      ? advertisement.manufacturerData.toString('hex')
+      : null,
+  })
+}
+
+class ReplayedPeripheral extends EventEmitter {
+  constructor(record) {
+    super()
+    this.address = record.address
+    this.id = record.address ? record.address.replace(/:/g, '') : ''
+    this.rssi = record.rssi
+    this.state = 'disconnected'
+    this.advertisement = {
+      localName: record.localName,
+      manufacturerData: record.manufacturerData,
+    }
+  }
+
+  connect(callback) {
+    setImmediate(() => callback(new Error('Replayed peripherals cannot be connected to')))
+  }
+
+  disconnect(callback) {
+    setImmediate(() => callback && callback(null))
+  }
+}
+
+class ReplayTransport extends EventEmitter {
+  constructor(options) {
+    super()
+    this.options = options || {}
+
+    if (!this.options.file && !this.options.records) {
+      throw new Error('The replay transport needs a capture file')
+    }
+
+    this.records = this.options.records ||
+      parseCapture(fs.readFileSync(this.options.file, 'utf8'))
+    // A speed of 0 replays the capture as fast as possible
+    this.speed = this.options.speed !== undefined ? this.options.speed : 1
+    this.loop = !!this.options.loop
+    this.state = 'unknown'
+    this.scanning = false
+    this.position = 0
+    this.timer = null
+    this.discovered = new Set()
+
+    setImmediate(() => {
+      this.state = 'poweredOn'
+      this.emit('stateChange', this.state)
+    })
+  }
+
+  startScanning(serviceUUIDs, allowDuplicates, callback) {
+    setImmediate(() => {
+      this.allowDuplicates = !!allowDuplicates
+      this.discovered.clear()
+
+      if (!this.scanning) {
+        this.scanning = true
+        this.emit('scanStart')
+        this._scheduleNext()
+      }
+
+      callback && callback(null)
+    })
+  }
+
+  stopScanning(callback) {
+    clearTimeout(this.timer)
+    this.timer = null
+
+    setImmediate(() => {
+      if (this.scanning) {
+        this.scanning = false
+        this.emit('scanStop')
+      }
+      callback && callback()
+    })
+  }
+
+  _scheduleNext() {
+    if (this.position >= this.records.length) {
+      if (this.loop && this.records.length > 0) {
+        this.position = 0
+      } else {
+        this.stopScanning()
+        return
+      }
+    }
+
+    const record = this.records[this.position]
+    const previous = this.records[this.position - 1]
+    const wait = previous && this.speed > 0
+      ? Math.max(0, (record.time - previous.time) / this.speed)
+      : 0
+
+    this.timer = setTimeout(() => {
+      this.position++
+      this._emitRecord(record)
+
+      if (this.scanning) {
+        this._scheduleNext()
+      }
+    }, wait)
+  }
+
+  _emitRecord(record) {
+    if (!this.allowDuplicates && this.discovered.has(record.address)) {
+      return
+    }
+
+    this.discovered.add(record.address)
+    this.emit('discover', new ReplayedPeripheral(record))
+  }
+}
+
+ReplayTransport.parseCapture = parseCapture
+ReplayTransport.formatRecord = formatRecord
+
+module.exports = ReplayTransport
@@ -0,0 +1,388 @@
+const EventEmitter = require('events')
+const {
+  COMPANY_ID,
+  SERVICE_UUID,
+  WRITE_CHARACTERISTIC_UUID,
+  NOTIFY_CHARACTERISTIC_UUID,
+  GENERIC_ACCESS_SERVICE_UUID,
+  DEVICE_INFORMATION_SERVICE_UUID,
+  DEVICE_INFORMATION_CHARACTERISTICS,
+  bcdByteToInt,
+  intToBCDByte,
+} = require('../protocol')
+
+const DEFAULT_SENSORS = [
+  {
+    address: 'e8:4e:06:3a:1c:52',
+    localName: 'THERMSmart',
+    indoor: { temperature: 21.5, humidity: 42 },
+    outdoor: { temperature: 6.5 },
+  },
+]
+
+const NO_SENSOR = 0xff
+
+const encodeTemperature = value => {
+  const b = Buffer.alloc(2)
+  if (value === null) {
+    b[0] = NO_SENSOR
+    b[1] = NO_SENSOR
+  } else {
+    b.writeUInt16LE(0x3000 + Math.round(value * 20), 0)
+  }
+  return b
+}
+
+const encodeHumidity = value => {
+  if (value === null) {
+    return NO_SENSOR
+  }
+  return intToBCDByte(Math.max(0, Math.min(99, Math.round(value))))
+}
+
+const drift = (value, amount) => {
+  return Math.round((value + (Math.random() - 0.5) * amount) * 10) / 10
+}
+
+class SimulatedChannel {
+  constructor(dataType, options) {
+    this.dataType = dataType
+    this.temperature = options.temperature !== undefined ? options.temperature : null
+    this.humidity = options.humidity !== undefined ? options.humidity : null
+    this.resetMinMax()
+  }
+
+  resetMinMax() {
+    this.maximumTemperature = this.minimumTemperature = this.temperature
+    this.maximumHumidity = this.minimumHumidity = this.humidity
+  }
+
+  tick() {
+    if (this.temperature !== null) {
+      this.temperature = drift(this.temperature, 0.4)
+      this.maximumTemperature = Math.max(this.maximumTemperature, this.temperature)
+      this.minimumTemperature = Math.min(this.minimumTemperature, this.temperature)
+    }
+
+    if (this.humidity !== null) {
+      this.humidity = Math.max(1, Math.min(99, drift(this.humidity, 1)))
+      this.maximumHumidity = Math.max(this.maximumHumidity, this.humidity)
+      this.minimumHumidity = Math.min(this.minimumHumidity, this.humidity)
+    }
+  }
+
+  encode(sensorType) {
+    const bytes = [
+      (this.dataType << 4) | sensorType,
+      ...encodeTemperature(this.temperature),
+      ...encodeTemperature(this.maximumTemperature),
+      ...encodeTemperature(this.minimumTemperature),
+    ]
+
+    if (this.dataType === 1) {
+      bytes.push(
+        encodeHumidity(this.humidity),
+        encodeHumidity(this.maximumHumidity),
+        encodeHumidity(this.minimumHumidity)
+      )
+    }
+
+    return bytes
+  }
+}
+
+class SimulatedCharacteristic extends EventEmitter {
+  constructor(peripheral, uuid, properties, value) {
+    super()
+    this.peripheral = peripheral
+    this.uuid = uuid
+    this.properties = properties
+    this.value = value || null
+    this.isNotifying = false
+  }
+
+  read(callback) {
+    setImmediate(() => {
+      if (this.peripheral.state !== 'connected') {
+        callback(new Error('Peripheral not connected'))
+      } else {
+        callback(null, this.value)
+      }
+    })
+  }
+
+  subscribe(callback) {
+    this.isNotifying = true
+    setImmediate(() => callback && callback(null))
+  }
+
+  unsubscribe(callback) {
+    this.isNotifying = false
+    setImmediate(() => callback && callback(null))
+  }
+
+  write(data, withoutResponse, callback) {
+    setImmediate(() => {
+      if (this.peripheral.state !== 'connected') {
+        callback && callback(new Error('Peripheral not connected'))
+        return
+      }
+
+      callback && callback(null)
+      this.peripheral.handleCommand(data)
+    })
+  }
+
+  notify(data) {
+    if (this.isNotifying) {
+      this.emit('data', data, true)
+    }
+  }
+}
+
+class SimulatedPeripheral extends EventEmitter {
+  constructor(options) {
+    super()
+
+    this.address = options.address.toLowerCase()
+    this.id = this.address.replace(/:/g, '')
+    this.addressType = 'public'
+    this.connectable = true
+    this.state = 'disconnected'
+    this.rssi = options.rssi || -65
+    this.batteryLevel = options.batteryLevel !== undefined ? options.batteryLevel : 90
+    this.sensorType = options.sensorType || 1
+    this.clockOffset = (options.clockOffset || 0) * 1000
+    this.channels = []
+    this.nextChannel = 0
+
+    if (options.indoor !== false) {
+      this.channels.push(new SimulatedChannel(1, options.indoor || DEFAULT_SENSORS[0].indoor))
+    }
+    if (options.outdoor !== false) {
+      this.channels.push(new SimulatedChannel(2, options.outdoor || DEFAULT_SENSORS[0].outdoor))
+    }
+
+    this.advertisement = {
+      localName: options.localName || 'THERMSmart',
+      serviceUuids: [SERVICE_UUID],
+      manufacturerData: Buffer.alloc(0),
+    }
+
+    this.writeCharacteristic = new SimulatedCharacteristic(
+      this, WRITE_CHARACTERISTIC_UUID, ['write']
+    )
+    this.notifyCharacteristic = new SimulatedCharacteristic(
+      this, NOTIFY_CHARACTERISTIC_UUID, ['notify']
+    )
+
+    const info = Object.assign({
+      name: this.advertisement.localName,
+      manufacturer: 'ThermSmart',
+      model: 'Simulated sensor',
+      serialNumber: this.id.toUpperCase(),
+      hardwareRevision: '1.0',
+      firmwareRevision: '1.0.0',
+    }, options.deviceInfo)
+
+    this.services = {
+      [SERVICE_UUID]: [this.writeCharacteristic, this.notifyCharacteristic],
+      [GENERIC_ACCESS_SERVICE_UUID]: [],
+      [DEVICE_INFORMATION_SERVICE_UUID]: [],
+    }
+
+    for (const uuid of Object.keys(DEVICE_INFORMATION_CHARACTERISTICS)) {
+      const value = info[DEVICE_INFORMATION_CHARACTERISTICS[uuid]]
+      if (value) {
+        const service = uuid === '2a00'
+          ? GENERIC_ACCESS_SERVICE_UUID
+          : DEVICE_INFORMATION_SERVICE_UUID
+        this.services[service].push(
+          new SimulatedCharacteristic(this, uuid, ['read'], Buffer.from(value))
+        )
+      }
+    }
+  }
+
+  get time() {
+    return new Date(Date.now() + this.clockOffset)
+  }
+
+  set time(date) {
+    this.clockOffset = date.getTime() - Date.now()
+  }
+
+  advertise() {
+    // The sensor alternates between advertising its indoor and outdoor channel
+    const channel = this.channels[this.nextChannel++ % this.channels.length]
+    channel.tick()
+
+    const header = Buffer.alloc(8)
+    header.writeUInt16LE(COMPANY_ID, 0)
+    header.writeUIntLE(parseInt(this.id, 16), 2, 6)
+
+    this.rssi = Math.round(drift(this.rssi, 4))
+    this.advertisement.manufacturerData = Buffer.concat([
+      header,
+      Buffer.from([this.batteryLevel].concat(channel.encode(this.sensorType))),
+    ])
+  }
+
+  handleCommand(data) {
+    if (data[0] === 0xd1 && data[1] === 0x01) {
+      const time = this.time
+      this.notifyCharacteristic.notify(Buffer.from([
+        0xd1,
+        0x01,
+        intToBCDByte(time.getFullYear() - 2000),
+        intToBCDByte(time.getMonth() + 1),
+        intToBCDByte(time.getDate()),
+        intToBCDByte(time.getHours()),
+        intToBCDByte(time.getMinutes()),
+        intToBCDByte(time.getSeconds()),
+      ]))
+    } else if (data[0] === 0xd1 && data[1] === 0x00) {
+      this.time = new Date(
+        bcdByteToInt(data[2]) + 2000,
+        bcdByteToInt(data[3]) - 1,
+        bcdByteToInt(data[4]),
+        bcdByteToInt(data[5]),
+        bcdByteToInt(data[6]),
+        bcdByteToInt(data[7])
+      )
+      this.notifyCharacteristic.notify(Buffer.from([0xd1, 0x00]))
+    } else if (data[0] === 0xd5) {
+      this.emit('identify')
+    }
+  }
+
+  connect(callback) {
+    setImmediate(() => {
+      this.state = 'connected'
+      this.emit('connect')
+      callback && callback(null)
+    })
+  }
+
+  disconnect(callback) {
+    setImmediate(() => {
+      const wasConnected = this.state === 'connected'
+      this.state = 'disconnected'
+      this.writeCharacteristic.isNotifying = false
+      this.notifyCharacteristic.isNotifying = false
+      if (wasConnected) {
+        this.emit('disconnect')
+      }
+      callback && callback(null)
+    })
+  }
+
+  discoverSomeServicesAndCharacteristics(serviceUUIDs, characteristicUUIDs, callback) {
+    setImmediate(() => {
+      if (this.state !== 'connected') {
+        callback(new Error('Peripheral not connected'))
+        return
+      }
+
+      const services = Object.keys(this.services)
+        .filter(uuid => !serviceUUIDs || serviceUUIDs.length === 0 ||
+          serviceUUIDs.indexOf(uuid) !== -1)
+        .map(uuid => ({
+          uuid,
+          characteristics: this.services[uuid].filter(
+            c => !characteristicUUIDs || characteristicUUIDs.length === 0 ||
+              characteristicUUIDs.indexOf(c.uuid) !== -1
+          ),
+        }))
+      const characteristics = [].concat(...services.map(s => s.characteristics))
+
+      callback(null, services, characteristics)
+    })
+  }
+}
+
+class SimulatedTransport extends EventEmitter {
+  constructor(options) {
+    super()
+    this.options = options || {}
+    this.interval = this.options.interval || 2000
+    this.state = 'unknown'
+    this.scanning = false
+    this.allowDuplicates = false
+    this.discovered = new Set()
+    this.scanInterval = null
+    this.peripherals = (this.options.sensors || DEFAULT_SENSORS).map(
+      s => new SimulatedPeripheral(s)
+    )
+
+    setImmediate(() => this.setState('poweredOn'))
+  }
+
+  setState(state) {
+    if (state === this.state) {
+      return
+    }
+
+    this.state = state
+    this.emit('stateChange', state)
+
+    if (state !== 'poweredOn' && this.scanning) {
+      this.stopScanning()
+    }
+  }
+
+  startScanning(serviceUUIDs, allowDuplicates, callback) {
+    setImmediate(() => {
+      if (this.state !== 'poweredOn') {
+        callback && callback(new Error('Could not start scanning, state is ' + this.state))
+        return
+      }
+
+      this.allowDuplicates = !!allowDuplicates
+      this.discovered.clear()
+
+      if (!this.scanning) {
+        this.scanning = true
+        this.scanInterval = setInterval(() => this.advertise(), this.interval)
+        this.emit('scanStart')
+        setImmediate(() => this.advertise())
+      }
+
+      callback && callback(null)
+    })
+  }
+
+  stopScanning(callback) {
+    clearInterval(this.scanInterval)
+    this.scanInterval = null
+
+    setImmediate(() => {
+      if (this.scanning) {
+        this.scanning = false
+        this.emit('scanStop')
+      }
+      callback && callback()
+    })
+  }
+
+  advertise() {
+    if (!this.scanning) {
+      return
+    }
+
+    for (const peripheral of this.peripherals) {
+      peripheral.advertise()
+
+      if (!this.allowDuplicates && this.discovered.has(peripheral.id)) {
+        continue
+      }
+
+      this.discovered.add(peripheral.id)
+      this.emit('discover', peripheral)
+    }
+  }
+}
+
+SimulatedTransport.SimulatedPeripheral = SimulatedPeripheral
+
+module.exports = SimulatedTransport